@@ -21,6 +21,7 @@ import { flash, isFlashEnabled } from './flash.mjs';
 import { highlightMiniLocations, isPatternHighlightingEnabled, updateMiniLocations } from './highlight.mjs';
 import { keybindings } from './keybindings.mjs';
 import { sliderPlugin, updateSliderWidgets } from './slider.mjs';
+import { flagWidgetPlugin, updateFlagWidgets } from './flagwidget.mjs';
 import { activateTheme, initTheme, theme } from './themes.mjs';
 import { isTooltipEnabled } from './tooltip.mjs';
 import { updateWidgets, widgetPlugin } from './widget.mjs';
@@ -95,6 +96,7 @@ export function initEditor({ initialCode = '', onChange, onEvaluate, onStop, roo
       }),
       sliderPlugin,
       widgetPlugin,
+      flagWidgetPlugin,
       // indentOnInput(), // works without. already brought with javascript
       // extension? bracketMatching(), // does not do anything
       syntaxHighlighting(defaultHighlightStyle),
@@ -205,6 +207,7 @@ export class StrudelMirror {
         updateSliderWidgets(this.editor, sliders);
         const widgets = this.widgets.filter((w) => w.type !== 'slider');
         updateWidgets(this.editor, widgets);
+        updateFlagWidgets(this.editor, options.meta?.flags ?? []);
         updateMiniLocations(this.editor, this.miniLocations);
         replOptions?.afterEval?.(options);
         // if no painters are set (.onPaint was not called), then we only need
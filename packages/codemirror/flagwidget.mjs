@@ -0,0 +1,187 @@
+import { WidgetType, ViewPlugin, Decoration } from '@codemirror/view';
+import { StateEffect } from '@codemirror/state';
+
+// the flags come from the app, see setFlagWidgetSource
+// source = { getValue(key, defaultValue), isOverridden(key), subscribe(listener) => unsubscribe, setOverride(key, value) }
+let flagSource;
+
+/**
+ * Connects the flag chips to the flags of the app
+ *
+ * @param {Object} source { getValue, isOverridden, subscribe, setOverride }
+ */
+export function setFlagWidgetSource(source) {
+  flagSource = source;
+}
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Shows the live value of a flag call after the call, found by the transpiler (see getFlagCall in transpiler.mjs)
+export class FlagWidget extends WidgetType {
+  constructor(flagConfig) {
+    super();
+    this.flagConfig = flagConfig;
+  }
+
+  eq() {
+    return false;
+  }
+
+  toDOM() {
+    const { key, defaultValue, type, helper } = this.flagConfig;
+    const wrap = document.createElement('span');
+    wrap.className = 'cm-flag-chip';
+    wrap.style =
+      'display:inline-flex;align-items:center;gap:2px;margin-left:4px;padding:0 4px;border-radius:4px;border:1px solid currentColor;font-size:0.85em;opacity:0.8';
+    if (!flagSource) {
+      wrap.textContent = key;
+      return wrap;
+    }
+    let sent; // value this chip overrode the flag with, so the change doesn't flash
+    const setOverride = (value) => {
+      sent = JSON.stringify(value);
+      flagSource.setOverride(key, value);
+    };
+    const render = (flash) => {
+      const value = flagSource.getValue(key, defaultValue);
+      wrap.replaceChildren(...renderValue(value, helper === 'toggle' ? 'boolean' : type, setOverride));
+      wrap.title = `${key}${flagSource.isOverridden(key) ? ' (local override, revert in the flags tab)' : ''}`;
+      wrap.style.fontStyle = flagSource.isOverridden(key) ? 'italic' : 'normal';
+      if (flash) {
+        wrap.animate?.([{ backgroundColor: 'rgba(255,255,255,.5)' }, { backgroundColor: 'transparent' }], 600);
+      }
+    };
+    render(false);
+    wrap.unsubscribe = flagSource.subscribe((changes) => {
+      // don't replace a value while it is edited
+      const editing = wrap.contains(document.activeElement) && document.activeElement.type !== 'checkbox';
+      if (!(key in changes) || editing) {
+        return;
+      }
+      const remote = JSON.stringify(changes[key]) !== sent;
+      sent = undefined;
+      render(remote);
+    });
+    return wrap;
+  }
+
+  destroy(dom) {
+    dom.unsubscribe?.();
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+// returns the dom nodes of a chip: a switch for booleans, an editable readout for numbers and strings,
+// and an expandable preview for objects and lists
+function renderValue(value, type, setOverride) {
+  const kind = type === 'any' || type === undefined ? (Array.isArray(value) ? 'array' : typeof value) : type;
+  if (kind === 'boolean') {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = !!value;
+    input.style = 'margin:0';
+    input.addEventListener('change', () => setOverride(input.checked));
+    const label = document.createElement('span');
+    label.textContent = value ? 'on' : 'off';
+    return [input, label];
+  }
+  if (kind === 'object' || kind === 'array') {
+    const details = document.createElement('details');
+    details.style = 'display:inline-block';
+    const summary = document.createElement('summary');
+    summary.style = 'cursor:pointer';
+    summary.textContent = kind === 'array' ? `[${value?.length ?? 0}]` : '{…}';
+    const editor = document.createElement('textarea');
+    editor.value = JSON.stringify(value, null, 2);
+    editor.rows = Math.min(editor.value.split('\n').length, 12);
+    editor.style = 'display:block;background:transparent;color:inherit;font:inherit;border:0;padding:0;width:32ch';
+    editor.addEventListener('blur', () => {
+      try {
+        const next = JSON.parse(editor.value);
+        if (JSON.stringify(next) !== JSON.stringify(value)) {
+          setOverride(next);
+        }
+        editor.style.textDecoration = 'none';
+      } catch (err) {
+        editor.style.textDecoration = 'underline wavy';
+      }
+    });
+    details.append(summary, editor);
+    return [details];
+  }
+  const input = document.createElement('input');
+  input.value = formatValue(value);
+  input.size = Math.max(input.value.length, 1);
+  input.style = 'background:transparent;color:inherit;font:inherit;border:0;padding:0;width:auto';
+  const commit = () => {
+    const next = kind === 'number' ? Number(input.value) : input.value;
+    if (kind === 'number' && (input.value.trim() === '' || isNaN(next))) {
+      input.value = formatValue(value);
+      return;
+    }
+    if (next !== value) {
+      setOverride(next);
+    }
+  };
+  input.addEventListener('input', () => (input.size = Math.max(input.value.length, 1)));
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      input.blur();
+    } else if (e.key === 'Escape') {
+      input.value = formatValue(value);
+      input.blur();
+    }
+  });
+  input.addEventListener('blur', commit);
+  return [input];
+}
+
+export const setFlagWidgets = StateEffect.define();
+
+export const updateFlagWidgets = (view, flags) => {
+  view.dispatch({ effects: setFlagWidgets.of(flags) });
+};
+
+function getFlagChips(flagConfigs) {
+  return (
+    flagConfigs
+      // codemirror throws an error if we don't sort
+      .slice()
+      .sort((a, b) => a.to - b.to)
+      .map((flagConfig) =>
+        Decoration.widget({
+          widget: new FlagWidget(flagConfig),
+          side: 1,
+        }).range(flagConfig.to),
+      )
+  );
+}
+
+export const flagWidgetPlugin = ViewPlugin.fromClass(
+  class {
+    decorations; //: DecorationSet
+
+    constructor(view /* : EditorView */) {
+      this.decorations = Decoration.set([]);
+    }
+
+    update(update /* : ViewUpdate */) {
+      update.transactions.forEach((tr) => {
+        if (tr.docChanged) {
+          this.decorations = this.decorations.map(tr.changes);
+        }
+        for (let e of tr.effects) {
+          if (e.is(setFlagWidgets)) {
+            this.decorations = Decoration.set(getFlagChips(e.value));
+          }
+        }
+      });
+    }
+  },
+  {
+    decorations: (v) => v.decorations,
+  },
+);
@@ -2,5 +2,6 @@ export * from './codemirror.mjs';
 export * from './highlight.mjs';
 export * from './flash.mjs';
 export * from './slider.mjs';
+export * from './flagwidget.mjs';
 export * from './themes.mjs';
 export * from './widget.mjs';
@@ -13,6 +13,7 @@ let num_cycles_at_cps_change = 0;
 let num_ticks_since_cps_change = 0;
 let num_seconds_at_cps_change = 0;
 let cps = 0.5;
+let ramp; // { from, to, duration, begin } tempo ramp, begin is in seconds since the clock started
 // {id: {started: boolean}}
 const clients = new Map();
 const duration = 0.1;
@@ -22,7 +23,28 @@ const sendMessage = (type, payload) => {
   channel.postMessage({ type, payload });
 };
 
+// moves the cps along a running ramp, once per tick
+const stepRamp = () => {
+  const seconds = num_seconds_at_cps_change + num_ticks_since_cps_change * duration;
+  const progress = Math.min((seconds - ramp.begin) / ramp.duration, 1);
+  changeCps(ramp.from + (ramp.to - ramp.from) * progress);
+  if (progress === 1) {
+    ramp = undefined;
+  }
+};
+
+const changeCps = (nextCps) => {
+  if (nextCps !== cps) {
+    const num_seconds_since_cps_change = num_ticks_since_cps_change * duration;
+    num_cycles_at_cps_change = num_cycles_at_cps_change + num_seconds_since_cps_change * cps;
+    num_seconds_at_cps_change = num_seconds_at_cps_change + num_seconds_since_cps_change;
+    cps = nextCps;
+    num_ticks_since_cps_change = 0;
+  }
+};
+
 const sendTick = (phase, duration, tick, time) => {
+  ramp && stepRamp();
   const num_seconds_since_cps_change = num_ticks_since_cps_change * duration;
   const tickdeadline = phase - time;
   const lastTick = time + tickdeadline;
@@ -79,13 +101,14 @@ const processMessage = (message) => {
 
   switch (type) {
     case 'cpschange': {
-      if (payload.cps !== cps) {
-        const num_seconds_since_cps_change = num_ticks_since_cps_change * duration;
-        num_cycles_at_cps_change = num_cycles_at_cps_change + num_seconds_since_cps_change * cps;
-        num_seconds_at_cps_change = num_seconds_at_cps_change + num_seconds_since_cps_change;
-        cps = payload.cps;
-        num_ticks_since_cps_change = 0;
-      }
+      ramp = undefined;
+      changeCps(payload.cps);
+      break;
+    }
+    case 'cpsramp': {
+      const begin = num_seconds_at_cps_change + num_ticks_since_cps_change * duration;
+      ramp = payload.duration > 0 ? { from: cps, to: payload.cps, duration: payload.duration, begin } : undefined;
+      !ramp && changeCps(payload.cps);
       break;
     }
     case 'setcycle': {
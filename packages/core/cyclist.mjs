@@ -29,6 +29,7 @@ export class Cyclist {
     this.getTime = getTime; // get absolute time
     this.num_cycles_at_cps_change = 0;
     this.seconds_at_cps_change; // clock phase when cps was changed
+    this.ramp = undefined; // { from, to, duration } tempo ramp starting at the last cps change
     this.onToggle = onToggle;
     this.latency = latency; // fixed trigger time offset
     this.clock = createClock(
@@ -41,7 +42,10 @@ export class Cyclist {
         }
         this.num_ticks_since_cps_change++;
         const seconds_since_cps_change = this.num_ticks_since_cps_change * duration;
-        const num_cycles_since_cps_change = seconds_since_cps_change * this.cps;
+        const num_cycles_since_cps_change = this.cyclesSinceCpsChange(seconds_since_cps_change);
+        if (this.ramp) {
+          this.cps = this.rampCpsAt(seconds_since_cps_change);
+        }
 
         try {
           const begin = this.lastEnd;
@@ -62,7 +66,9 @@ export class Cyclist {
           haps.forEach((hap) => {
             if (hap.hasOnset()) {
               const targetTime =
-                (hap.whole.begin - this.num_cycles_at_cps_change) / this.cps + this.seconds_at_cps_change + latency;
+                this.secondsSinceCpsChange(hap.whole.begin - this.num_cycles_at_cps_change) +
+                this.seconds_at_cps_change +
+                latency;
               const duration = hap.duration / this.cps;
               // the following line is dumb and only here for backwards compatibility
               // see https://codeberg.org/uzu/strudel/pulls/1004
@@ -71,10 +77,17 @@ export class Cyclist {
               onTrigger?.(hap, deadline, duration, this.cps, targetTime);
               if (hap.value.cps !== undefined && this.cps != hap.value.cps) {
                 this.cps = hap.value.cps;
+                this.ramp = undefined;
                 this.num_ticks_since_cps_change = 0;
               }
             }
           });
+          if (this.ramp && seconds_since_cps_change >= this.ramp.duration) {
+            // ramp is done: continue with a steady tempo from the next tick on
+            this.cps = this.ramp.to;
+            this.ramp = undefined;
+            this.num_ticks_since_cps_change = 0;
+          }
         } catch (e) {
           errorLogger(e);
           onError?.(e);
@@ -127,12 +140,48 @@ export class Cyclist {
     }
   }
   setCps(cps = 0.5) {
-    if (this.cps === cps) {
+    if (this.cps === cps && !this.ramp) {
       return;
     }
     this.cps = cps;
+    this.ramp = undefined;
+    this.num_ticks_since_cps_change = 0;
+  }
+  // glides linearly from the current cps to the given cps over the given number of seconds
+  rampCps(cps, duration) {
+    if (!(duration > 0) || this.cps === cps) {
+      return this.setCps(cps);
+    }
+    this.ramp = { from: this.cps, to: cps, duration };
     this.num_ticks_since_cps_change = 0;
   }
+  rampCpsAt(seconds) {
+    const { from, to, duration } = this.ramp;
+    return from + (to - from) * Math.min(seconds / duration, 1);
+  }
+  // cycles passed since the last cps change, integrating over a running ramp
+  cyclesSinceCpsChange(seconds) {
+    if (!this.ramp) {
+      return seconds * this.cps;
+    }
+    const { from, to, duration } = this.ramp;
+    const rampSeconds = Math.min(seconds, duration);
+    const rampCycles = from * rampSeconds + ((to - from) * rampSeconds * rampSeconds) / (2 * duration);
+    return rampCycles + Math.max(seconds - duration, 0) * to;
+  }
+  // inverse of cyclesSinceCpsChange
+  secondsSinceCpsChange(cycles) {
+    if (!this.ramp) {
+      return cycles / this.cps;
+    }
+    const { from, to, duration } = this.ramp;
+    const rampCycles = this.cyclesSinceCpsChange(duration);
+    if (cycles >= rampCycles) {
+      return duration + (cycles - rampCycles) / to;
+    }
+    const a = (to - from) / (2 * duration);
+    return (-from + Math.sqrt(from * from + 4 * a * cycles)) / (2 * a);
+  }
   log(begin, end, haps) {
     const onsets = haps.filter((h) => h.hasOnset());
     console.log(`${begin.toFixed(4)} - ${end.toFixed(4)} ${Array(onsets.length).fill('I').join('')}`);
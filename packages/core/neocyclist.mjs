@@ -74,6 +74,10 @@ export class NeoCyclist {
   setCps(cps = 1) {
     this.sendMessage('cpschange', { cps });
   }
+  // glides linearly from the current cps to the given cps over the given number of seconds
+  rampCps(cps, duration) {
+    this.sendMessage('cpsramp', { cps, duration });
+  }
   setCycle(cycle) {
     this.sendMessage('setcycle', { cycle });
   }
@@ -12,6 +12,7 @@ export function repl({
   beforeEval,
   beforeStart,
   afterEval,
+  onHush,
   getTime,
   transpiler,
   onToggle,
@@ -71,6 +72,7 @@ export function repl({
     anonymousIndex = 0;
     allTransform = undefined;
     eachTransform = undefined;
+    onHush?.();
     return silence;
   };
 
@@ -0,0 +1,181 @@
+/*
+cyclist.test.mjs - Tests for the tempo ramps of the schedulers
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/core/test/cyclist.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Cyclist } from '../cyclist.mjs';
+import { NeoCyclist } from '../neocyclist.mjs';
+
+// a Cyclist driven by hand: tick() moves the clock by one interval, queries are recorded as [begin, end]
+const createCyclist = () => {
+  let time = 0;
+  let onTick;
+  const queries = [];
+  const cyclist = new Cyclist({
+    getTime: () => time,
+    setInterval: (callback) => (onTick = callback),
+    clearInterval: () => {},
+  });
+  cyclist.pattern = { queryArc: (begin, end) => queries.push([begin, end]) && [] };
+  const tick = (times = 1) => {
+    for (let i = 0; i < times; i++) {
+      time += 0.1;
+      onTick();
+    }
+  };
+  return { cyclist, queries, tick };
+};
+
+// the length of the queries, which is the tempo times the duration of a clock callback
+const steps = (queries) => queries.map(([begin, end]) => end - begin);
+
+describe('Cyclist tempo ramps', () => {
+  it('keeps the cycle position continuous across a ramp', async () => {
+    const { cyclist, queries, tick } = createCyclist();
+    await cyclist.start();
+    tick(10);
+    cyclist.rampCps(1, 2);
+    tick(30);
+    cyclist.setCps(0.25);
+    tick(10);
+    queries.slice(1).forEach(([begin], i) => expect(begin).toEqual(queries[i][1]));
+    steps(queries).forEach((step) => {
+      expect(step).toBeGreaterThanOrEqual(0.25 * 0.05 - 1e-9);
+      expect(step).toBeLessThanOrEqual(1 * 0.05 + 1e-9);
+    });
+  });
+
+  it('ends the ramp exactly at the target cps', async () => {
+    const { cyclist, queries, tick } = createCyclist();
+    await cyclist.start();
+    const before = queries.length;
+    const position = cyclist.lastEnd;
+    cyclist.rampCps(1, 2);
+    tick(25);
+    expect(cyclist.ramp).toBeUndefined();
+    expect(cyclist.cps).toEqual(1);
+    // 2 seconds from 0.5 to 1 cps are 1.5 cycles, the rest of the time plays at 1 cps
+    const seconds = (queries.length - before) * 0.05;
+    expect(cyclist.lastEnd - position).toBeCloseTo(1.5 + (seconds - 2), 6);
+    expect(steps(queries).at(-1)).toBeCloseTo(0.05, 9);
+  });
+
+  it('cancels a running ramp with setCps', async () => {
+    const { cyclist, queries, tick } = createCyclist();
+    await cyclist.start();
+    cyclist.rampCps(2, 4);
+    tick(10);
+    expect(cyclist.cps).toBeGreaterThan(0.5);
+    expect(cyclist.cps).toBeLessThan(2);
+    cyclist.setCps(0.25);
+    expect(cyclist.ramp).toBeUndefined();
+    const before = queries.length;
+    tick(10);
+    steps(queries.slice(before)).forEach((step) => expect(step).toBeCloseTo(0.25 * 0.05, 9));
+    expect(cyclist.cps).toEqual(0.25);
+  });
+
+  it('converts between seconds and cycles of a ramp', () => {
+    const { cyclist } = createCyclist();
+    cyclist.rampCps(1.5, 4);
+    [0, 0.5, 1, 3.9, 4, 6].forEach((seconds) => {
+      expect(cyclist.secondsSinceCpsChange(cyclist.cyclesSinceCpsChange(seconds))).toBeCloseTo(seconds, 9);
+    });
+    expect(cyclist.cyclesSinceCpsChange(4)).toEqual(4);
+  });
+});
+
+describe('NeoCyclist tempo ramps', () => {
+  const messages = [];
+  let channel;
+  const createNeoCyclist = () => {
+    vi.stubGlobal(
+      'SharedWorker',
+      class {
+        port = { start: () => {}, postMessage: (message) => messages.push(message) };
+      },
+    );
+    vi.stubGlobal(
+      'BroadcastChannel',
+      class {
+        constructor() {
+          channel = this;
+        }
+        close() {}
+      },
+    );
+    return new NeoCyclist({ getTime: () => 10 });
+  };
+  afterEach(() => {
+    messages.length = 0;
+    vi.unstubAllGlobals();
+  });
+
+  it('leaves ramps to the clock worker', () => {
+    const cyclist = createNeoCyclist();
+    cyclist.rampCps(1, 2);
+    cyclist.setCps(0.25);
+    expect(messages.map(({ type, payload }) => [type, payload])).toEqual([
+      ['cpsramp', { cps: 1, duration: 2 }],
+      ['cpschange', { cps: 0.25 }],
+    ]);
+  });
+
+  it('follows the cycle and cps of the ticks, as it has no lastEnd', () => {
+    const cyclist = createNeoCyclist();
+    const queries = [];
+    cyclist.setPattern({ queryArc: (begin, end) => queries.push([begin, end]) && [] });
+    cyclist.start();
+    channel.onmessage({ data: { type: 'tick', payload: { cps: 0.75, begin: 2, end: 2.075, cycle: 2, time: 10 } } });
+    expect(queries).toEqual([[2, 2.075]]);
+    expect(cyclist.cps).toEqual(0.75);
+    expect(cyclist.lastEnd).toBeUndefined();
+    expect(cyclist.now()).toBeCloseTo(2, 6);
+    cyclist.stop();
+  });
+});
+
+describe('clock worker tempo ramps', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('glides to the target cps, and cancels the ramp on cpschange', async () => {
+    vi.useFakeTimers();
+    const ticks = [];
+    let port;
+    vi.stubGlobal('performance', { now: () => Date.now() });
+    vi.stubGlobal('self', {});
+    vi.stubGlobal(
+      'BroadcastChannel',
+      class {
+        postMessage({ type, payload }) {
+          type === 'tick' && ticks.push(payload);
+        }
+      },
+    );
+    await import('../clockworker.js');
+    globalThis.self.onconnect({
+      ports: [{ addEventListener: (type, listener) => (port = listener), start: () => {} }],
+    });
+    const send = (type, payload) => port({ data: { type, payload, id: 1 } });
+    send('toggle', { started: true });
+    vi.advanceTimersByTime(1000);
+    send('cpsramp', { cps: 1, duration: 2 });
+    vi.advanceTimersByTime(3000);
+    const ramped = ticks.length;
+    expect(ticks.at(-1).cps).toEqual(1);
+    send('cpsramp', { cps: 2, duration: 4 });
+    vi.advanceTimersByTime(1000);
+    send('cpschange', { cps: 0.25 });
+    vi.advanceTimersByTime(1000);
+    expect(ticks.at(-1).cps).toEqual(0.25);
+    // each tick starts where the previous one ended, also while the cps changes
+    ticks.slice(1).forEach(({ begin }, i) => expect(begin).toBeCloseTo(ticks[i].end, 9));
+    expect(ticks.slice(ramped).some(({ cps }) => cps > 1 && cps < 2)).toBe(true);
+    send('toggle', { started: false });
+  });
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import readline from 'readline';
+import { createFlagStore, loadFlagDefinitions } from './flagdefs.mjs';
+
+const LOG = !!process.env.LOG || false;
+const PORT = process.env.PORT || 8765;
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const nextIsFlag = args[i + 1]?.startsWith('--') ?? true;
+    if (nextIsFlag) return true;
+    return args[i + 1];
+  }
+}
+
+const flagsPath = resolve(getArgValue('--flags') || 'flags.json');
+if (!existsSync(flagsPath)) {
+  console.error(`no flag definitions found at ${flagsPath}. Use --flags <file.json|main.tf>`);
+  process.exit(1);
+}
+const store = createFlagStore(await loadFlagDefinitions(flagsPath));
+
+// base64url encoded contexts of the SDK are decoded for logging only
+const decodeContext = (encoded) => {
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    return encoded;
+  }
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+// parses the payload of a flag change: { variation } / { value } as JSON, or a bare variation name
+const parseChange = (body) => {
+  try {
+    const json = JSON.parse(body);
+    if (typeof json === 'object' && json !== null && ('variation' in json || 'value' in json)) {
+      return json;
+    }
+    return { variation: json };
+  } catch (e) {
+    return { variation: body.trim() };
+  }
+};
+
+const streams = new Set();
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+store.subscribe((setting) => {
+  console.log(`${setting.key} = ${JSON.stringify(setting.value)} (variation ${setting.variation})`);
+  streams.forEach((res) => sendEvent(res, 'patch', setting));
+});
+
+setInterval(() => streams.forEach((res) => res.write(':\n\n')), HEARTBEAT_INTERVAL).unref();
+
+const json = (res, data, status = 200) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+};
+
+const listFlags = () =>
+  store.keys().map((key) => {
+    const { type, variations, variation } = store.get(key);
+    return { key, type, variation, value: variations[variation]?.value, variations };
+  });
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, REPORT, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    return res.end();
+  }
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const parts = pathname.split('/').filter(Boolean);
+  LOG && console.log(req.method, pathname);
+
+  try {
+    // polling: /sdk/evalx/:env/contexts/:context, /sdk/evalx/:env/context (REPORT), /sdk/evalx/:env/users/:user
+    if (parts[0] === 'sdk' && parts[1] === 'evalx') {
+      LOG && parts[4] && console.log('context', decodeContext(parts[4]));
+      return json(res, store.settings());
+    }
+    if (parts[0] === 'sdk' && parts[1] === 'goals') {
+      return json(res, []);
+    }
+    // streaming: /eval/:env/:context (GET) or /eval/:env (REPORT)
+    if (parts[0] === 'eval') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      sendEvent(res, 'put', store.settings());
+      streams.add(res);
+      req.on('close', () => streams.delete(res));
+      return;
+    }
+    // analytics and diagnostic events are accepted and dropped
+    if (parts[0] === 'events' || parts[0] === 'mobile') {
+      await readBody(req);
+      res.statusCode = 202;
+      return res.end();
+    }
+    // REST api to flip variations: GET /flags, PUT /flags/:key
+    if (parts[0] === 'flags') {
+      if (!parts[1]) {
+        return json(res, listFlags());
+      }
+      const key = decodeURIComponent(parts[1]);
+      if (!store.get(key)) {
+        return json(res, { error: `unknown flag "${key}"` }, 404);
+      }
+      if (req.method === 'GET') {
+        return json(
+          res,
+          listFlags().find((flag) => flag.key === key),
+        );
+      }
+      return json(res, store.set(key, parseChange(await readBody(req))));
+    }
+    json(res, { error: 'not found' }, 404);
+  } catch (err) {
+    json(res, { error: err.message }, 400);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`@strudel/flagserver is serving ${store.keys().length} flags from:
+ ${flagsPath}
+
+To use it in the Strudel REPL, set "LaunchDarkly Base URL" in the settings tab to:
+ http://localhost:${PORT}
+
+Change a flag by typing "<flag> <variation index|name|json value>", or over http:
+ curl -X PUT localhost:${PORT}/flags/drumsEnabled -d '{"value": false}'
+`);
+});
+
+if (process.stdin.isTTY) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('line', (line) => {
+    const [key, ...rest] = line.trim().split(' ');
+    if (!key || key === 'list') {
+      listFlags().forEach(({ key, variation, value }) =>
+        console.log(`${key} = ${JSON.stringify(value)} (${variation})`),
+      );
+      return;
+    }
+    try {
+      const selector = rest.join(' ');
+      store.set(key, /^\d+$/.test(selector) ? { variation: Number(selector) } : parseChange(selector));
+    } catch (err) {
+      console.error(err.message);
+    }
+  });
+}
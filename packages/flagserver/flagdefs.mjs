@@ -0,0 +1,194 @@
+/*
+flagdefs.mjs - loads flag definitions for the flag server from JSON or terraform files
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/flagserver/flagdefs.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { readFile } from 'fs/promises';
+import { parseHCL } from './hcl.mjs';
+
+// a flag definition looks like this:
+// { key: 'scale', type: 'string', variations: [{ value: '<g:minor>', name: 'G Minor' }], variation: 0 }
+// where variation is the index of the variation that is currently served
+
+export const inferFlagType = (value) => {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'string';
+  return 'json';
+};
+
+// checks a value against the variation_type of a flag, json flags take objects and arrays
+const hasFlagType = (value, type) =>
+  type === 'number' ? Number.isFinite(value) : value !== null && inferFlagType(value) === type;
+
+const coerceVariationValue = (value, type) => {
+  if (type === 'boolean' && typeof value === 'string') return value === 'true';
+  if (type === 'number' && typeof value === 'string') return Number(value);
+  if (type === 'json' && typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * Reads the launchdarkly_feature_flag resources of a terraform file.
+ * The served variation is the on_variation of the flag defaults.
+ *
+ * @param {string} source terraform source
+ * @returns {Object[]} flag definitions
+ */
+export function parseTerraformFlags(source) {
+  const { blocks } = parseHCL(source);
+  return blocks
+    .filter((block) => block.type === 'resource' && block.labels[0] === 'launchdarkly_feature_flag')
+    .map(({ labels, body }) => {
+      const { key, name, description, variation_type: type = 'boolean' } = body.attributes;
+      const variations = body.blocks
+        .filter((block) => block.type === 'variations')
+        .map(({ body }) => ({
+          ...body.attributes,
+          value: coerceVariationValue(body.attributes.value, type),
+        }));
+      const defaults = body.blocks.find((block) => block.type === 'defaults')?.body.attributes ?? {};
+      return {
+        key,
+        name,
+        description,
+        type,
+        variations,
+        variation: defaults.on_variation ?? 0,
+        offVariation: defaults.off_variation,
+        resource: labels[1],
+      };
+    });
+}
+
+/**
+ * Normalizes JSON flag definitions. Accepts either a plain map of flag values,
+ * like the result of LDClient.allFlags(), or { flags: [{ key, type, variations, default }] }
+ *
+ * @param {Object} json
+ * @returns {Object[]} flag definitions
+ */
+export function parseJSONFlags(json) {
+  if (!Array.isArray(json.flags)) {
+    return Object.entries(json).map(([key, value]) => ({
+      key,
+      type: inferFlagType(value),
+      variations: [{ value }],
+      variation: 0,
+    }));
+  }
+  return json.flags.map((flag) => {
+    const variations = (flag.variations ?? []).map((variation) =>
+      typeof variation === 'object' && variation !== null && 'value' in variation ? variation : { value: variation },
+    );
+    let variation = flag.variation;
+    if (variation === undefined && 'default' in flag) {
+      variation = variations.findIndex(({ value }) => JSON.stringify(value) === JSON.stringify(flag.default));
+      if (variation === -1) {
+        variations.push({ value: flag.default });
+        variation = variations.length - 1;
+      }
+    }
+    return {
+      ...flag,
+      type: flag.type ?? inferFlagType(variations[0]?.value),
+      variations,
+      variation: variation ?? 0,
+    };
+  });
+}
+
+/**
+ * Loads flag definitions from a .json or .tf file
+ *
+ * @param {string} path
+ * @returns {Promise<Object[]>} flag definitions
+ */
+export async function loadFlagDefinitions(path) {
+  const source = await readFile(path, 'utf8');
+  if (path.endsWith('.tf')) {
+    return parseTerraformFlags(source);
+  }
+  return parseJSONFlags(JSON.parse(source));
+}
+
+/**
+ * Keeps the served variation of each flag and notifies listeners about changes.
+ *
+ * @param {Object[]} definitions flag definitions
+ */
+export function createFlagStore(definitions) {
+  const flags = new Map(definitions.map((def) => [def.key, { ...def, version: 1 }]));
+  const listeners = new Set();
+
+  const toSetting = ({ key, variations, variation, version }) => ({
+    key,
+    value: variations[variation]?.value ?? null,
+    variation,
+    version,
+    flagVersion: version,
+    trackEvents: false,
+  });
+
+  const findValue = (flag, value) => {
+    const serialized = JSON.stringify(value);
+    return flag.variations.findIndex((variation) => JSON.stringify(variation.value) === serialized);
+  };
+
+  // resolves a variation index from an index, a variation name or a value
+  const findVariation = (flag, selector) => {
+    if (Number.isInteger(selector) && flag.variations[selector]) {
+      return selector;
+    }
+    const byName = flag.variations.findIndex(({ name }) => name !== undefined && name === selector);
+    return byName !== -1 ? byName : findValue(flag, selector);
+  };
+
+  return {
+    keys: () => [...flags.keys()],
+    get: (key) => flags.get(key),
+    // all flags in the format of the LaunchDarkly evalx endpoint
+    settings() {
+      return Object.fromEntries([...flags.values()].map((flag) => [flag.key, toSetting(flag)]));
+    },
+    /**
+     * Serves another variation of a flag
+     * @param {string} key flag key
+     * @param {Object} change either { variation } (index or name) or { value }
+     */
+    set(key, { variation, value }) {
+      const flag = flags.get(key);
+      if (!flag) {
+        throw new Error(`unknown flag "${key}"`);
+      }
+      let index = variation !== undefined ? findVariation(flag, variation) : findValue(flag, value);
+      if (index === -1 && variation === undefined) {
+        if (!hasFlagType(value, flag.type)) {
+          throw new Error(`${JSON.stringify(value)} is no ${flag.type} value of flag "${key}"`);
+        }
+        // values that are not a variation yet become one
+        flag.variations.push({ value });
+        index = flag.variations.length - 1;
+      }
+      if (index === -1) {
+        throw new Error(`flag "${key}" has no variation "${variation}"`);
+      }
+      flag.variation = index;
+      flag.version++;
+      const setting = toSetting(flag);
+      listeners.forEach((listener) => listener(setting));
+      return setting;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,199 @@
+/*
+hcl.mjs - minimal parser for the subset of HCL used in terraform/main.tf
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/flagserver/hcl.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// supports blocks, attributes, strings, numbers, booleans, lists, objects and function calls.
+// references like var.project_key are kept as plain strings, jsonencode(x) evaluates to x.
+
+const punctuation = '{}[](),=:';
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\n') {
+      tokens.push({ type: 'newline' });
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#' || (char === '/' && source[i + 1] === '/')) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== '"') {
+        if (source[i] === '\\') {
+          const escaped = source[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+    } else if (char === '=' && source[i + 1] === '>') {
+      // only used in for expressions
+      tokens.push({ type: '=>' });
+      i += 2;
+    } else if (punctuation.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else if (/[-\d]/.test(char)) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?([eE][-+]?\d+)?/);
+      if (!match) {
+        throw new Error(`hcl: unexpected "${char}" at ${i}`);
+      }
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][\w.\-*]*/);
+      tokens.push({ type: 'ident', value: match[0] });
+      i += match[0].length;
+    } else {
+      throw new Error(`hcl: unexpected "${char}" at ${i}`);
+    }
+  }
+  return tokens;
+}
+
+const functions = {
+  jsonencode: (value) => value,
+  tostring: (value) => String(value),
+  tonumber: (value) => Number(value),
+};
+
+/**
+ * Parses HCL source into a tree of { attributes, blocks }, where each block is { type, labels, body }.
+ *
+ * @param {string} source hcl source
+ * @returns {Object}
+ */
+export function parseHCL(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const skipNewlines = () => {
+    while (peek()?.type === 'newline') pos++;
+  };
+  const expect = (type) => {
+    const token = next();
+    if (token?.type !== type) {
+      throw new Error(`hcl: expected "${type}" but got "${token?.type}"`);
+    }
+    return token;
+  };
+
+  // for expressions are not evaluated
+  const skipFor = (open, close) => {
+    let depth = 1;
+    while (depth > 0 && pos < tokens.length) {
+      const { type } = next();
+      depth += type === open ? 1 : type === close ? -1 : 0;
+    }
+  };
+
+  function parseValue() {
+    skipNewlines();
+    const token = next();
+    switch (token?.type) {
+      case 'string':
+      case 'number':
+        return token.value;
+      case '[': {
+        const list = [];
+        skipNewlines();
+        if (peek()?.type === 'ident' && peek().value === 'for') {
+          skipFor('[', ']');
+          return '[for ...]';
+        }
+        while (peek()?.type !== ']') {
+          list.push(parseValue());
+          skipNewlines();
+          if (peek()?.type === ',') pos++;
+          skipNewlines();
+        }
+        pos++;
+        return list;
+      }
+      case '{': {
+        const object = {};
+        skipNewlines();
+        if (peek()?.type === 'ident' && peek().value === 'for') {
+          skipFor('{', '}');
+          return '{for ...}';
+        }
+        while (peek()?.type !== '}') {
+          const key = next();
+          const sep = next();
+          if (!['=', ':'].includes(sep?.type)) {
+            throw new Error(`hcl: expected "=" after object key "${key?.value}"`);
+          }
+          object[key.value] = parseValue();
+          skipNewlines();
+          if (peek()?.type === ',') pos++;
+          skipNewlines();
+        }
+        pos++;
+        return object;
+      }
+      case 'ident': {
+        if (['true', 'false'].includes(token.value)) {
+          return token.value === 'true';
+        }
+        if (token.value === 'null') {
+          return null;
+        }
+        if (peek()?.type === '(') {
+          pos++;
+          const args = [];
+          skipNewlines();
+          while (peek()?.type !== ')') {
+            args.push(parseValue());
+            skipNewlines();
+            if (peek()?.type === ',') pos++;
+            skipNewlines();
+          }
+          pos++;
+          const fn = functions[token.value];
+          return fn ? fn(...args) : `${token.value}(...)`;
+        }
+        // references are kept as plain strings
+        return token.value;
+      }
+      default:
+        throw new Error(`hcl: unexpected "${token?.type}"`);
+    }
+  }
+
+  function parseBody(closing) {
+    const body = { attributes: {}, blocks: [] };
+    skipNewlines();
+    while (pos < tokens.length && peek().type !== closing) {
+      const name = expect('ident').value;
+      if (peek()?.type === '=') {
+        pos++;
+        body.attributes[name] = parseValue();
+      } else {
+        const labels = [];
+        while (peek()?.type === 'string') {
+          labels.push(next().value);
+        }
+        expect('{');
+        body.blocks.push({ type: name, labels, body: parseBody('}') });
+        expect('}');
+      }
+      skipNewlines();
+    }
+    return body;
+  }
+
+  return parseBody(undefined);
+}
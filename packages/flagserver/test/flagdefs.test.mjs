@@ -0,0 +1,109 @@
+/*
+flagdefs.test.mjs - tests for loading flag definitions
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/packages/flagserver/test/flagdefs.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { createFlagStore, parseJSONFlags, parseTerraformFlags } from '../flagdefs.mjs';
+
+const tf = `
+# drum kit
+resource "launchdarkly_feature_flag" "drum_kit_settings" {
+  project_key = launchdarkly_project.strudel.key
+  key         = "drumKitSettings"
+  variation_type = "json"
+  variations {
+    value = jsonencode({
+      bank = "RolandTR808"
+      gain = 1
+    })
+    name = "TR-808"
+  }
+  variations {
+    value = jsonencode({ bank = "RolandTR909", gain = 0.8 })
+    name  = "TR-909"
+  }
+  defaults {
+    on_variation  = 1
+    off_variation = 0
+  }
+  tags = ["strudel"]
+}
+resource "launchdarkly_feature_flag" "drums_enabled" {
+  key            = "drumsEnabled"
+  variation_type = "boolean"
+  variations {
+    value = "true"
+  }
+  variations {
+    value = "false"
+  }
+  defaults {
+    on_variation  = 0
+    off_variation = 1
+  }
+}
+output "flag_keys" {
+  value = [for env in launchdarkly_project.strudel.environments : env.key]
+}
+output "client_side_ids" {
+  value = { for env in launchdarkly_project.strudel.environments : env.key => env.client_side_id }
+}
+`;
+
+describe('parseTerraformFlags', () => {
+  it('reads flag resources with their variations', () => {
+    const [kit, enabled] = parseTerraformFlags(tf);
+    expect(kit).toMatchObject({ key: 'drumKitSettings', type: 'json', variation: 1, offVariation: 0 });
+    expect(kit.variations).toEqual([
+      { value: { bank: 'RolandTR808', gain: 1 }, name: 'TR-808' },
+      { value: { bank: 'RolandTR909', gain: 0.8 }, name: 'TR-909' },
+    ]);
+    expect(enabled.variations.map(({ value }) => value)).toEqual([true, false]);
+  });
+
+  it('reads the flags of terraform/main.tf', () => {
+    const source = readFileSync(new URL('../../../terraform/main.tf', import.meta.url), 'utf8');
+    const flags = parseTerraformFlags(source);
+    expect(flags.map(({ key }) => key)).toEqual(expect.arrayContaining(['scale', 'drumKitSettings', 'drumsEnabled']));
+    flags.forEach((flag) => expect(flag.variations.length).toBeGreaterThan(0));
+  });
+});
+
+describe('parseJSONFlags', () => {
+  it('reads plain flag maps', () => {
+    expect(parseJSONFlags({ drumsEnabled: false })).toEqual([
+      { key: 'drumsEnabled', type: 'boolean', variations: [{ value: false }], variation: 0 },
+    ]);
+  });
+  it('selects the default variation', () => {
+    const [scale] = parseJSONFlags({
+      flags: [{ key: 'scale', variations: ['<g:minor>', '<c:major>'], default: '<c:major>' }],
+    });
+    expect(scale).toMatchObject({ type: 'string', variation: 1 });
+  });
+});
+
+describe('createFlagStore', () => {
+  it('switches variations by index, name and value', () => {
+    const store = createFlagStore(parseTerraformFlags(tf));
+    const changes = [];
+    store.subscribe((setting) => changes.push(setting.value));
+    store.set('drumKitSettings', { variation: 'TR-808' });
+    store.set('drumsEnabled', { value: false });
+    store.set('drumsEnabled', { variation: 0 });
+    expect(changes).toEqual([{ bank: 'RolandTR808', gain: 1 }, false, true]);
+    expect(store.settings().drumsEnabled).toMatchObject({ value: true, version: 3 });
+    expect(() => store.set('drumsEnabled', { variation: 'Maybe' })).toThrow();
+  });
+
+  it('only takes new values of the type of the flag', () => {
+    const store = createFlagStore(parseTerraformFlags(tf));
+    expect(() => store.set('drumsEnabled', { value: 7 })).toThrow('7 is no boolean value of flag "drumsEnabled"');
+    expect(() => store.set('drumKitSettings', { value: 'RolandTR909' })).toThrow('no json value');
+    expect(store.get('drumsEnabled').variations.length).toEqual(2);
+    expect(store.set('drumKitSettings', { value: { bank: 'RolandTR909' } }).value).toEqual({ bank: 'RolandTR909' });
+  });
+});
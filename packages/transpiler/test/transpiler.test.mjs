@@ -42,4 +42,23 @@ describe('transpiler', () => {
       [12, 14],
     ]);
   });
+  it('collects flag calls', () => {
+    const code = `setcpmFlag('globalTempo', 110, 4)
+s("bd*4").toggle('drums').drumKit('kit', { bank: 'RolandTR909', gain: 0.8 })
+note(flag("melody", "c3 e3")).lpf(flagNumber('cutoff', -1).range(200, 2000))
+flag(someKey, 1)`;
+    const { flags } = transpiler(code, simple);
+    expect(flags.map(({ key, defaultValue, type, helper }) => ({ key, defaultValue, type, helper }))).toEqual([
+      { key: 'globalTempo', defaultValue: 110, type: 'number', helper: 'setcpmFlag' },
+      { key: 'kit', defaultValue: { bank: 'RolandTR909', gain: 0.8 }, type: 'object', helper: 'drumKit' },
+      { key: 'drums', defaultValue: undefined, type: 'boolean', helper: 'toggle' },
+      { key: 'melody', defaultValue: 'c3 e3', type: 'string', helper: 'flag' },
+      { key: 'cutoff', defaultValue: -1, type: 'number', helper: 'flagNumber' },
+    ]);
+    expect(flags[2]).toMatchObject({ from: 44, to: 59, line: 2, column: 10 });
+  });
+  it('collects the variations of flag switches', () => {
+    const { flags } = transpiler(`flagSwitch('section', { intro: s("bd"), 'drop': s("bd*4") })`, simple);
+    expect(flags[0]).toMatchObject({ key: 'section', type: 'string', variations: ['intro', 'drop'] });
+  });
 });
@@ -19,7 +19,13 @@ export function registerLanguage(type, config) {
 }
 
 export function transpiler(input, options = {}) {
-  const { wrapAsync = false, addReturn = true, emitMiniLocations = true, emitWidgets = true } = options;
+  const {
+    wrapAsync = false,
+    addReturn = true,
+    emitMiniLocations = true,
+    emitWidgets = true,
+    emitFlags = true,
+  } = options;
 
   let ast = parse(input, {
     ecmaVersion: 2022,
@@ -40,9 +46,14 @@ export function transpiler(input, options = {}) {
     }
   };
   let widgets = [];
+  let flags = [];
 
   walk(ast, {
     enter(node, parent /* , prop, index */) {
+      if (emitFlags && isFlagCall(node)) {
+        // the arguments are still untouched here, as children are entered after their parent
+        flags.push(getFlagCall(node));
+      }
       if (isLanguageLiteral(node)) {
         const { name } = node.tag;
         const language = languages.get(name);
@@ -143,7 +154,7 @@ export function transpiler(input, options = {}) {
   if (!emitMiniLocations) {
     return { output };
   }
-  return { output, miniLocations, widgets };
+  return { output, miniLocations, widgets, flags };
 }
 
 function isStringWithDoubleQuotes(node, locations, code) {
@@ -224,6 +235,109 @@ function widgetWithLocation(node, widgetConfig) {
   return node;
 }
 
+// flag helpers of website/src/repl/launchdarkly.mjs, with the index of the default value argument,
+// the type of the flag, if it doesn't follow from the default value, and the index of the { variation: pattern } argument
+// maybe someday there will be pluggable transpiler functions, then move this there
+const flagFunctions = {
+  flag: { defaultIndex: 1 },
+  flagNumber: { defaultIndex: 1, type: 'number' },
+  flagBool: { defaultIndex: 1, type: 'boolean' },
+  flagJSON: { defaultIndex: 1, type: 'object' },
+  flagList: { defaultIndex: 1, type: 'array' },
+  flagSignal: { defaultIndex: 1, type: 'number' },
+  flagSwitch: { type: 'string', variationsIndex: 1 },
+  setcpmFlag: { defaultIndex: 1, type: 'number' },
+  getLeadArrangement: { defaultIndex: 1, type: 'string', variationsIndex: 2 },
+};
+const flagMethods = {
+  toggle: { defaultIndex: 1, type: 'boolean' },
+  polySpeed: { defaultIndex: 1 },
+  drumKit: { defaultIndex: 1, type: 'object' },
+  bassSound: { defaultIndex: 1, type: 'object' },
+  leadSound: { defaultIndex: 1, type: 'object' },
+  flagControls: { defaultIndex: 1, type: 'object' },
+  rollout: { defaultIndex: 1, type: 'number' },
+};
+
+function getFlagHelper(node) {
+  if (node.type !== 'CallExpression') {
+    return undefined;
+  }
+  const { callee } = node;
+  if (callee.type === 'Identifier') {
+    return Object.hasOwn(flagFunctions, callee.name) ? flagFunctions[callee.name] : undefined;
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed) {
+    return Object.hasOwn(flagMethods, callee.property.name) ? flagMethods[callee.property.name] : undefined;
+  }
+}
+
+// flag keys can only be known before evaluation if they are written as a string
+function isFlagCall(node) {
+  return !!getFlagHelper(node) && typeof getLiteralValue(node.arguments[0]) === 'string';
+}
+
+// returns the value of a literal expression like 'a', -1, { s: 'bd' } or [1, 2], undefined for anything else
+function getLiteralValue(node) {
+  switch (node?.type) {
+    case 'Literal':
+      return node.regex ? undefined : node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length ? undefined : node.quasis[0].value.cooked;
+    case 'UnaryExpression': {
+      const value = getLiteralValue(node.argument);
+      return node.operator === '-' && typeof value === 'number' ? -value : undefined;
+    }
+    case 'ArrayExpression': {
+      const values = node.elements.map(getLiteralValue);
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'ObjectExpression': {
+      const entries = node.properties.map((property) => {
+        if (property.type !== 'Property' || property.computed || property.kind !== 'init') {
+          return undefined;
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        const value = getLiteralValue(property.value);
+        return value === undefined ? undefined : [key, value];
+      });
+      return entries.includes(undefined) ? undefined : Object.fromEntries(entries);
+    }
+  }
+}
+
+// returns the written keys of an object expression like { intro: ..., drop: ... }, the variations of a flagSwitch
+function getVariationNames(node) {
+  if (node?.type !== 'ObjectExpression') {
+    return undefined;
+  }
+  return node.properties
+    .filter((property) => property.type === 'Property' && !property.computed)
+    .map((property) => (property.key.type === 'Identifier' ? property.key.name : String(property.key.value)));
+}
+
+const typeOfValue = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// describes a flag helper call, its location spans the helper name and arguments (not the pattern of a method)
+function getFlagCall(node) {
+  const { callee, arguments: args } = node;
+  const helper = callee.type === 'Identifier' ? callee.name : callee.property.name;
+  const { defaultIndex, type, variationsIndex } = getFlagHelper(node);
+  const defaultValue = defaultIndex !== undefined ? getLiteralValue(args[defaultIndex]) : undefined;
+  const start = callee.type === 'Identifier' ? callee : callee.property;
+  return {
+    key: getLiteralValue(args[0]),
+    defaultValue,
+    type: type ?? (defaultValue !== undefined ? typeOfValue(defaultValue) : 'any'),
+    helper,
+    variations: variationsIndex !== undefined ? getVariationNames(args[variationsIndex]) : undefined,
+    from: start.start,
+    to: node.end,
+    line: start.loc.start.line,
+    column: start.loc.start.column,
+  };
+}
+
 function isBareSamplesCall(node, parent) {
   return node.type === 'CallExpression' && node.callee.name === 'samples' && parent.type !== 'AwaitExpression';
 }
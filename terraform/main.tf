@@ -416,6 +416,41 @@ resource "launchdarkly_feature_flag" "drums_enabled" {
   temporary = false
 }
 
+# =============================================================================
+# KILL SWITCH FLAG - Fades out and stops everything (see setFlagKillSwitch)
+# =============================================================================
+resource "launchdarkly_feature_flag" "kill_switch" {
+  project_key = launchdarkly_project.strudel.key
+  key         = "killSwitch"
+  name        = "Kill Switch"
+  description = "Serve Killed to fade out and stop the set, Playing to restart it at the next bar"
+
+  variation_type = "boolean"
+
+  variations {
+    value = "true"
+    name  = "Killed"
+  }
+  variations {
+    value = "false"
+    name  = "Playing"
+  }
+
+  # the set plays until someone serves Killed, also with @strudel/flagserver
+  defaults {
+    on_variation  = 1
+    off_variation = 1
+  }
+
+  client_side_availability {
+    using_mobile_key     = true
+    using_environment_id = true
+  }
+
+  tags      = ["strudel"]
+  temporary = false
+}
+
 # =============================================================================
 # OUTPUTS
 # =============================================================================
@@ -434,6 +469,11 @@ output "environment_keys" {
   value       = [for env in launchdarkly_project.strudel.environments : env.key]
 }
 
+output "client_side_ids" {
+  description = "Client-side ID of each environment, to enter in the settings of the REPL"
+  value       = { for env in launchdarkly_project.strudel.environments : env.key => env.client_side_id }
+}
+
 output "flag_keys" {
   description = "List of all created feature flag keys"
   value = [
@@ -445,6 +485,7 @@ output "flag_keys" {
     launchdarkly_feature_flag.bass_enabled.key,
     launchdarkly_feature_flag.drum_kit_settings.key,
     launchdarkly_feature_flag.drums_enabled.key,
+    launchdarkly_feature_flag.kill_switch.key,
   ]
 }
 
@@ -0,0 +1,1139 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { s, seq, note, stack, isControlName } from '@strudel/core';
+import {
+  flag,
+  setFlagProvider,
+  closeFlagProvider,
+  getFlag,
+  getLatestFlag,
+  getFlagAt,
+  setFlagRamp,
+  setFlagQuantize,
+  setFlagScheduler,
+  setFlagVariations,
+  clearFlagReferences,
+  getFlagReport,
+  getFlagStatus,
+  setFlagOverride,
+  revertFlagOverride,
+  setFlagOverrides,
+  getFlagOverrides,
+  setFlagContext,
+  getFlagContext,
+  guardFlagPattern,
+  guardFlagOutput,
+  flagSwitch,
+  setFlagScenes,
+  flagNumber,
+  flagBool,
+  flagJSON,
+  flagList,
+  flagSignal,
+  switchLaunchDarkly,
+  setcpmFlag,
+  clearFlagTempo,
+  getFlagTempo,
+  setFlagManifest,
+  exportFlagManifest,
+  setFlagKillSwitch,
+  clearFlagKillSwitch,
+  getFlagKillSwitch,
+  fadeFlagOutput,
+} from '../website/src/repl/launchdarkly.mjs';
+import {
+  createMemoryProvider,
+  createReplayProvider,
+  createStaticProvider,
+} from '../website/src/repl/flagproviders.mjs';
+import { loadFlagCache, saveFlagCache } from '../website/src/repl/flagcache.mjs';
+import { getFlagClientId } from '../website/src/repl/flagenvironments.mjs';
+import { fromLaunchDarklyExport, parseFlagManifest, toLaunchDarklyExport } from '../website/src/repl/flagmanifest.mjs';
+import {
+  $flagConnection,
+  setFlagConnection,
+  getReconnectDelay,
+  defaultReconnectPolicy,
+} from '../website/src/repl/flagconnection.mjs';
+import { createFlagRecorder, renderFlagAutomation } from '../website/src/repl/flagautomation.mjs';
+import { helperDefaults } from '../tools/flagtf/flagtf.mjs';
+import { controlSchemas } from '../website/src/repl/flagschema.mjs';
+import doc from '../doc.json';
+import {
+  combineFlagContexts,
+  loadFlagContext,
+  normalizeFlagContext,
+  splitFlagContext,
+} from '../website/src/repl/flagcontext.mjs';
+
+describe('flag providers', () => {
+  beforeEach(() => closeFlagProvider());
+
+  it('reads flags from a static provider', async () => {
+    await setFlagProvider(createStaticProvider({ scale: 'c:major' }));
+    expect(flag('scale', 'g:minor').firstCycleValues).toEqual(['c:major']);
+    expect(flag('missing', 'g:minor').firstCycleValues).toEqual(['g:minor']);
+  });
+
+  it('parses mini-notation flag values', async () => {
+    await setFlagProvider(createStaticProvider({ notes: '<0 2>' }));
+    expect(flag('notes', 0).fast(2).firstCycleValues).toEqual([0, 2]);
+  });
+
+  it('applies changes of a memory provider', async () => {
+    const provider = createMemoryProvider({ drumsEnabled: true });
+    await setFlagProvider(provider);
+    const pat = s(seq('bd', 'sd')).toggle('drumsEnabled', true);
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd' }, { s: 'sd' }]);
+    provider.set('drumsEnabled', false);
+    expect(pat.firstCycleValues).toEqual([]);
+  });
+
+  it('replaces the flag set when switching providers', async () => {
+    await setFlagProvider(createStaticProvider({ drumKitSettings: { bank: 'RolandTR909' } }));
+    await setFlagProvider(createMemoryProvider({}));
+    expect(getFlag('drumKitSettings', 'default')).toEqual('default');
+    expect(s('bd').drumKit('drumKitSettings').firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR808', gain: 1 }]);
+  });
+});
+
+describe('quantized flags', () => {
+  const provider = createMemoryProvider({ scale: 'a' });
+  const values = (pat, begin, end) => pat.queryArc(begin, end).map((hap) => hap.value);
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 1.6, cps: 1 });
+  });
+  afterEach(() => {
+    setFlagQuantize(0);
+    setFlagQuantize('scale', undefined);
+    setFlagScheduler(undefined);
+    provider.set('scale', 'a');
+  });
+
+  it('applies changes immediately by default', () => {
+    provider.set('scale', 'b');
+    expect(values(flag('scale'), 1, 3)).toEqual(['b', 'b']);
+  });
+
+  it('stages changes until the next boundary', () => {
+    setFlagQuantize(2);
+    provider.set('scale', 'b');
+    expect(values(flag('scale'), 0, 4)).toEqual(['a', 'a', 'b', 'b']);
+    expect(getFlag('scale')).toEqual('a');
+    expect(getLatestFlag('scale')).toEqual('b');
+  });
+
+  it('splits queries at the boundary of a meter', () => {
+    setFlagQuantize('scale', { meter: '3/4' });
+    provider.set('scale', 'b');
+    const haps = flag('scale').queryArc(2, 3);
+    expect(haps.map((hap) => [hap.part.begin.valueOf(), hap.value])).toEqual([
+      [2, 'a'],
+      [2.25, 'b'],
+    ]);
+  });
+});
+
+describe('ramped flags', () => {
+  const provider = createMemoryProvider({ cutoff: 100, lead: { lpf: 100, s: 'sawtooth' } });
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 2, cps: 0.5 });
+  });
+  afterEach(() => {
+    setFlagRamp('cutoff', undefined);
+    setFlagRamp('lead', undefined);
+    setFlagScheduler(undefined);
+    provider.setAll({ cutoff: 100, lead: { lpf: 100, s: 'sawtooth' } });
+  });
+
+  it('interpolates numbers linearly', () => {
+    setFlagRamp('cutoff', 4);
+    provider.set('cutoff', 500);
+    expect([1, 2, 3, 6, 8].map((cycle) => getFlagAt('cutoff', cycle))).toEqual([100, 100, 200, 500, 500]);
+  });
+
+  it('interpolates exponentially over seconds', () => {
+    setFlagRamp('cutoff', { duration: 4, unit: 'seconds', curve: 'exponential' });
+    provider.set('cutoff', 400);
+    expect(getFlagAt('cutoff', 3)).toEqual(200);
+  });
+
+  it('interpolates numeric fields of JSON flags', () => {
+    setFlagRamp('lead', 2);
+    provider.set('lead', { lpf: 500, s: 'square' });
+    expect(getFlagAt('lead', 3)).toEqual({ lpf: 300, s: 'sawtooth' });
+    expect(getFlagAt('lead', 4)).toEqual({ lpf: 500, s: 'square' });
+  });
+});
+
+describe('flag automation', () => {
+  const provider = createMemoryProvider({ scale: 'a', cutoff: 100 });
+  const values = (pat, begin, end) => pat.queryArc(begin, end).map((hap) => hap.value);
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 1.6, cps: 1 });
+  });
+  afterEach(async () => {
+    setFlagQuantize(0);
+    setFlagRamp('cutoff', undefined);
+    setFlagScheduler(undefined);
+    await closeFlagProvider();
+    provider.setAll({ scale: 'a', cutoff: 100 });
+  });
+
+  it('records the cycle at which changes take effect', () => {
+    const recorder = createFlagRecorder();
+    recorder.start();
+    setFlagQuantize(2);
+    provider.set('scale', 'b');
+    setFlagRamp('cutoff', 4);
+    provider.set('cutoff', 500);
+    const lane = recorder.stop();
+    expect(lane.start).toEqual(1.6);
+    expect(lane.initial).toEqual({ scale: 'a', cutoff: 100 });
+    expect(lane.events).toEqual([
+      { cycle: 2, key: 'scale', value: 'b' },
+      { cycle: 2, key: 'cutoff', value: 500, ramp: { duration: 4, curve: 'linear' } },
+    ]);
+    expect(JSON.parse(JSON.stringify(lane))).toEqual(lane);
+  });
+
+  it('replays a lane deterministically', async () => {
+    const recorder = createFlagRecorder();
+    recorder.start();
+    setFlagQuantize(2);
+    provider.set('scale', 'b');
+    const lane = recorder.stop();
+    setFlagScheduler(undefined);
+    await setFlagProvider(createReplayProvider(lane));
+    expect(values(flag('scale'), 0, 4)).toEqual(['a', 'a', 'b', 'b']);
+    await setFlagProvider(createReplayProvider(lane, { offset: -2 }));
+    expect(values(flag('scale'), 0, 2)).toEqual(['b', 'b']);
+  });
+
+  it('rejects other JSON', () => {
+    expect(() => createReplayProvider({ scale: 'a' })).toThrow();
+  });
+
+  it('keeps the latest value at the value of the current cycle', async () => {
+    vi.useFakeTimers();
+    const lane = {
+      format: 'strudel-flag-automation',
+      version: 1,
+      start: 0,
+      end: 4,
+      initial: { scale: 'a' },
+      events: [
+        { cycle: 1, key: 'scale', value: 'b' },
+        { cycle: 2, key: 'scale', value: 'c' },
+      ],
+    };
+    await setFlagProvider(createReplayProvider(lane));
+    expect(getLatestFlag('scale')).toEqual('b');
+    vi.advanceTimersByTime(400);
+    expect(getLatestFlag('scale')).toEqual('c');
+    vi.useRealTimers();
+  });
+
+  it('renders a pattern over a lane, from cycle 0', async () => {
+    setFlagScheduler(undefined);
+    const lane = {
+      format: 'strudel-flag-automation',
+      version: 1,
+      start: 4,
+      end: 8,
+      initial: { scale: 'a' },
+      events: [{ cycle: 6, key: 'scale', value: 'b' }],
+    };
+    const haps = await renderFlagAutomation(flag('scale'), lane);
+    expect(haps.map((hap) => [hap.whole.begin.valueOf(), hap.value])).toEqual([
+      [0, 'a'],
+      [1, 'a'],
+      [2, 'b'],
+      [3, 'b'],
+    ]);
+  });
+});
+
+describe('flag report', () => {
+  beforeEach(() => clearFlagReferences());
+
+  it('lists the flags referenced by the code', async () => {
+    const provider = createMemoryProvider({ scale: 'a' });
+    await setFlagProvider(provider);
+    setFlagVariations('scale', [{ value: 'b', name: 'B Minor' }]);
+    flag('scale', 'c');
+    s('bd').toggle('drumsEnabled', true);
+    provider.set('scale', 'b');
+    const [scale, drums] = getFlagReport();
+    expect(scale).toMatchObject({ key: 'scale', value: 'b', source: 'memory', variation: 'B Minor' });
+    expect(scale.history.map((change) => change.value)).toEqual(['a', 'b']);
+    expect(drums).toMatchObject({ key: 'drumsEnabled', value: true, source: 'default', helpers: ['toggle'] });
+    expect(getFlagStatus()).toEqual({ status: 'ready', provider: 'memory' });
+  });
+
+  it('gives the defaults of the helpers that flag-tf writes', () => {
+    const functions = { flagNumber, flagBool, flagJSON, flagList, flagSignal, setcpmFlag };
+    const pattern = note('c');
+    Object.keys(helperDefaults).forEach((helper) => (functions[helper] ?? pattern[helper].bind(pattern))(helper));
+    clearFlagTempo();
+    expect(Object.fromEntries(getFlagReport().map(({ key, defaultValue }) => [key, defaultValue]))).toEqual(
+      helperDefaults,
+    );
+  });
+
+  it('reports a provider that failed to initialize', async () => {
+    const error = new Error('offline');
+    await expect(setFlagProvider({ init: () => Promise.reject(error) })).rejects.toThrow('offline');
+    expect(getFlagStatus()).toEqual({ status: 'failed', error });
+    flag('scale', 'c');
+    expect(getFlagReport()[0]).toMatchObject({ key: 'scale', value: 'c', source: 'default' });
+  });
+});
+
+describe('flag overrides', () => {
+  const provider = createMemoryProvider({ bassEnabled: true, cutoff: 100 });
+  beforeEach(async () => {
+    clearFlagReferences();
+    await setFlagProvider(provider);
+  });
+  afterEach(() => setFlagOverrides({}));
+
+  it('wins over the provider until reverted', () => {
+    setFlagOverride('bassEnabled', false);
+    provider.set('bassEnabled', true);
+    expect(getFlag('bassEnabled')).toEqual(false);
+    revertFlagOverride('bassEnabled');
+    expect(getFlag('bassEnabled')).toEqual(true);
+  });
+
+  it('supports JSON values and falls back to the default without remote value', () => {
+    s('bd').drumKit('drumKitSettings');
+    setFlagOverride('drumKitSettings', { bank: 'RolandTR909' });
+    expect(s('bd').drumKit('drumKitSettings').firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    expect(getFlagReport()[0]).toMatchObject({ overridden: true, source: 'override' });
+    revertFlagOverride('drumKitSettings');
+    expect(getFlag('drumKitSettings', 'default')).toEqual('default');
+  });
+
+  it('survives switching providers', async () => {
+    setFlagOverride('cutoff', 400);
+    await setFlagProvider(createStaticProvider({ cutoff: 200 }));
+    expect(getFlag('cutoff')).toEqual(400);
+    expect(getFlagOverrides()).toEqual({ cutoff: 400 });
+  });
+});
+
+describe('flag contexts', () => {
+  it('converts the legacy user shape', () => {
+    expect(normalizeFlagContext({ key: 'felix', anonymous: true, custom: { role: 'controller' } })).toEqual({
+      kind: 'user',
+      key: 'felix',
+      anonymous: true,
+      role: 'controller',
+    });
+  });
+
+  it('combines and splits multi-contexts', () => {
+    const contexts = [
+      { kind: 'user', key: 'felix' },
+      { kind: 'venue', key: 'berghain', city: 'Berlin' },
+    ];
+    const context = combineFlagContexts(contexts);
+    expect(context).toEqual({ kind: 'multi', user: { key: 'felix' }, venue: { key: 'berghain', city: 'Berlin' } });
+    expect(splitFlagContext(context)).toEqual(contexts);
+    expect(() => combineFlagContexts([{ kind: 'user' }])).toThrow('needs a key');
+    expect(() => combineFlagContexts([...contexts, { kind: 'user', key: 'x' }])).toThrow('used twice');
+  });
+
+  it('re-applies the flags of a new context', async () => {
+    const variations = { berghain: { scale: 'a', bassEnabled: true }, tresor: { scale: 'b' } };
+    await setFlagProvider({
+      ...createMemoryProvider(variations.berghain),
+      identify: async (context) => variations[context.venue.key],
+    });
+    await setFlagContext({ kind: 'multi', user: { key: 'felix' }, venue: { key: 'tresor' } });
+    expect(getFlagContext().venue).toEqual({ key: 'tresor' });
+    expect(getFlag('scale')).toEqual('b');
+    expect(getFlag('bassEnabled', false)).toEqual(false);
+  });
+});
+
+describe('flagControls', () => {
+  beforeEach(() => closeFlagProvider());
+
+  it('merges fields with their policy', async () => {
+    await setFlagProvider(createStaticProvider({ bass: { s: 'square', gain: 0.5, note: 12, lpf: '<300 1200>' } }));
+    const pat = note(seq(36, 38)).gain(0.8).flagControls('bass', {}, { gain: 'multiply', note: 'add', lpf: 'pattern' });
+    expect(pat.queryArc(1, 2).map((hap) => hap.value)).toEqual([
+      { note: 48, gain: 0.4, s: 'square', lpf: 1200 },
+      { note: 50, gain: 0.4, s: 'square', lpf: 1200 },
+    ]);
+  });
+
+  it('renames fields and fills in defaults', async () => {
+    await setFlagProvider(createStaticProvider({ lead: { lpf: 800 } }));
+    const pat = note(60).flagControls('lead', {}, { sound: { as: 's', default: 'sawtooth' } });
+    expect(pat.firstCycleValues).toEqual([{ note: 60, s: 'sawtooth', lpf: 800 }]);
+    expect(note(60).leadSound('lead').firstCycleValues).toEqual([{ note: 60, s: 'sawtooth', gain: 1, lpf: 800 }]);
+  });
+});
+
+describe('flag validation', () => {
+  const provider = createMemoryProvider({ drumKitSettings: { bank: 'RolandTR909' } });
+  const logged = (text) => log.mock.calls.filter(([message]) => message.includes(text)).length;
+  let log;
+  beforeEach(async () => {
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await setFlagProvider(provider);
+  });
+  afterEach(() => {
+    provider.set('drumKitSettings', { bank: 'RolandTR909' });
+    log.mockRestore();
+  });
+
+  it('knows the controls with the types and ranges of their docs', () => {
+    Object.entries(controlSchemas).forEach(([control, schema]) => {
+      expect(isControlName(control), control).toBe(true);
+      const entry = doc.docs.find(({ name, synonyms = [] }) => name === control || synonyms.includes(control));
+      const param = entry?.params?.[0];
+      if (!param) {
+        return;
+      }
+      const types = (schema.oneOf ?? [schema]).map(({ type }) => type);
+      expect(param.type.names, control).toEqual(expect.arrayContaining(types));
+      const range = param.description?.match(/between (-?[\d.]+)\b.*?\b(?:and|to) (-?[\d.]+)/);
+      if (range) {
+        expect([schema.min, schema.max], control).toEqual([Number(range[1]), Number(range[2])]);
+      }
+    });
+  });
+
+  it('reports unknown controls once and keeps the last valid value', () => {
+    const pat = s('bd').drumKit('drumKitSettings');
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    provider.set('drumKitSettings', { bnk: 'RolandTR707' });
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    expect(logged('unknown control "bnk"')).toEqual(1);
+  });
+
+  it('reports values out of range and unparseable JSON', () => {
+    const pat = s('bd').drumKit('drumKitSettings');
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    provider.set('drumKitSettings', { bank: 'RolandTR909', room: 3 });
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    expect(logged('room should be between 0 and 1, got 3')).toEqual(1);
+    provider.set('drumKitSettings', '{"bank": "RolandTR909",}');
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', bank: 'RolandTR909', gain: 1 }]);
+    expect(logged('could not parse JSON')).toEqual(1);
+  });
+
+  it('checks the types of simple helpers', () => {
+    provider.set('drumsEnabled', 'nope');
+    expect(s('bd').toggle('drumsEnabled', false).firstCycleValues).toEqual([]);
+    expect(logged('should be a boolean')).toEqual(1);
+  });
+});
+
+describe('flag rollback', () => {
+  const provider = createMemoryProvider({ cutoff: 100 });
+  let log;
+  beforeEach(async () => {
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    clearFlagReferences();
+    await setFlagProvider(provider);
+  });
+  afterEach(() => {
+    provider.setAll({ cutoff: 100 });
+    vi.restoreAllMocks();
+  });
+
+  it('rolls back a flag that breaks the query', () => {
+    const cutoff = flag('cutoff', 100).withValue((v) => {
+      if (typeof v !== 'number') {
+        throw new Error('cutoff needs a number');
+      }
+      return v;
+    });
+    const pat = guardFlagPattern(s('bd').lpf(cutoff));
+    provider.set('cutoff', 'loud');
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', cutoff: 100 }]);
+    expect(getFlag('cutoff')).toEqual(100);
+    expect(getFlagReport()[0]).toMatchObject({ source: 'rollback', rolledBack: true });
+    expect(log.mock.calls.some(([message]) => message.includes(`flag 'cutoff' = "loud"`))).toBe(true);
+    provider.set('cutoff', 200);
+    expect(pat.firstCycleValues).toEqual([{ s: 'bd', cutoff: 200 }]);
+    expect(getFlagReport()[0].source).toEqual('memory');
+  });
+
+  it('does not blame flags for other errors', () => {
+    const broken = guardFlagPattern(
+      flag('cutoff').withValue(() => {
+        throw new Error('bug in the code');
+      }),
+    );
+    provider.set('cutoff', 200);
+    expect(() => broken.firstCycleValues).toThrow('bug in the code');
+    expect(getFlag('cutoff')).toEqual(200);
+  });
+
+  it('rolls back a change when a trigger of a hap that depends on it fails', async () => {
+    const pattern = stack(s('bd').lpf(flag('cutoff', 100)), s('nope'));
+    setFlagScheduler({ started: true, now: () => 0, cps: 1, pattern });
+    const output = guardFlagOutput(() => Promise.reject(new Error('sound not found')));
+    provider.set('cutoff', 200);
+    const [bd, nope] = pattern.queryArc(0, 1);
+    await expect(output(nope)).rejects.toThrow('sound not found');
+    expect(getFlag('cutoff')).toEqual(200);
+    await expect(output(bd)).rejects.toThrow('sound not found');
+    expect(getFlag('cutoff')).toEqual(100);
+    setFlagScheduler(undefined);
+  });
+});
+
+describe('flagSwitch', () => {
+  const provider = createMemoryProvider({ section: 'intro' });
+  const sections = { intro: s('bd'), drop: s('sd') };
+  const values = (pat, begin, end) =>
+    pat.queryArc(begin, end).map((hap) => [hap.whole.begin.valueOf(), hap.value.s, hap.value.gain]);
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 1.6, cps: 1 });
+  });
+  afterEach(() => {
+    setFlagScheduler(undefined);
+    provider.set('section', 'intro');
+  });
+
+  it('cuts on the next bar', () => {
+    const pat = flagSwitch('section', sections);
+    provider.set('section', 'drop');
+    expect(values(pat, 1, 3)).toEqual([
+      [1, 'bd', undefined],
+      [2, 'sd', undefined],
+    ]);
+  });
+
+  it('waits for the end of the phrase', () => {
+    const pat = flagSwitch('section', sections, { transition: 'phrase', phrase: 4, bar: { meter: '2/4' } });
+    provider.set('section', 'drop');
+    expect(values(pat, 1, 3).map(([, sound]) => sound)).toEqual(['bd', 'sd']);
+  });
+
+  it('crossfades over several bars', () => {
+    const pat = flagSwitch('section', sections, { transition: 'crossfade', duration: 2 });
+    provider.set('section', 'drop');
+    expect(values(pat, 3, 5)).toEqual([
+      [3, 'bd', 0.5],
+      [3, 'sd', 0.5],
+      [4, 'sd', undefined],
+    ]);
+  });
+
+  it('plays a fill before the new section', () => {
+    const pat = flagSwitch('section', sections, { transition: 'fill', fill: s(seq('hh', 'hh')) });
+    provider.set('section', 'drop');
+    expect(values(pat, 1, 4).map(([, sound]) => sound)).toEqual(['bd', 'hh', 'hh', 'sd']);
+  });
+
+  it('reports unknown sections and plays the default', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const pat = flagSwitch('section', sections, { defaultVariation: 'drop' });
+    provider.set('section', 'outro');
+    expect(values(pat, 3, 4).map(([, sound]) => sound)).toEqual(['sd']);
+    expect(console.log).toHaveBeenCalledTimes(1);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('flag scenes', () => {
+  const provider = createMemoryProvider({ scene: 'intro', tempo: 90, drums: false });
+  const scenes = {
+    intro: { tempo: 100, drums: false },
+    drop: { tempo: 128, drums: true, scale: 'c:minor' },
+  };
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 1.6, cps: 1 });
+    setFlagScenes(scenes);
+  });
+  afterEach(() => {
+    setFlagScheduler(undefined);
+    setFlagScenes({});
+    setFlagOverrides({});
+    provider.setAll({ scene: 'intro', tempo: 90, drums: false });
+  });
+
+  it('applies a whole scene at the boundary of the scene flag', () => {
+    expect(getFlagAt('tempo', 2)).toEqual(100);
+    provider.set('scene', 'drop');
+    expect(['tempo', 'drums', 'scale'].map((key) => getFlagAt(key, 1.8))).toEqual([90, false, undefined]);
+    expect(['tempo', 'drums', 'scale'].map((key) => getFlagAt(key, 2))).toEqual([128, true, 'c:minor']);
+  });
+
+  it('lets individual flags and overrides win over the scene', () => {
+    provider.set('scene', 'drop');
+    provider.set('tempo', 140);
+    setFlagOverride('drums', false);
+    expect(getLatestFlag('tempo')).toEqual(140);
+    expect(getLatestFlag('drums')).toEqual(false);
+    expect(getLatestFlag('scale')).toEqual('c:minor');
+    // re-evaluating the code does not reapply the scene
+    setFlagScenes(scenes);
+    expect(getLatestFlag('tempo')).toEqual(140);
+  });
+
+  it('reads scenes from the payload and restores flags the scene leaves', () => {
+    provider.set('scene', { scene: 'break', scenes: { break: { drums: true } } });
+    expect(getLatestFlag('drums')).toEqual(true);
+    expect(getLatestFlag('tempo')).toEqual(90);
+    clearFlagReferences();
+    flag('drums');
+    expect(getFlagReport()[0]).toMatchObject({ source: 'scene', scene: 'break' });
+  });
+
+  it('keeps the active scene when the scene is unknown', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    provider.set('scene', 'outro');
+    expect(getLatestFlag('tempo')).toEqual(100);
+    expect(console.log).toHaveBeenCalledTimes(1);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('rollout', () => {
+  const provider = createMemoryProvider({ hats: 0 });
+  const positions = (pat, cycle = 3) => pat.queryArc(cycle, cycle + 1).map((hap) => hap.whole.begin.valueOf() - cycle);
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+  });
+
+  it('lets a growing share of haps pass, always the same ones', () => {
+    const hats = s('hh').fast(16).rollout('hats');
+    expect(positions(hats)).toEqual([]);
+    provider.set('hats', 25);
+    const quarter = positions(hats);
+    provider.set('hats', 75);
+    const most = positions(hats);
+    provider.set('hats', 100);
+    expect(positions(hats).length).toEqual(16);
+    expect(quarter.length).toBeLessThan(most.length);
+    expect(quarter.every((position) => most.includes(position))).toBe(true);
+    provider.set('hats', 25);
+    expect(positions(hats)).toEqual(quarter);
+    // the same positions of each cycle play
+    provider.set('hats', 50);
+    const half = positions(hats);
+    expect(half.length).toBeGreaterThan(0);
+    expect(half.length).toBeLessThan(16);
+    [4, 5, 11].forEach((cycle) => expect(positions(hats, cycle)).toEqual(half));
+  });
+});
+
+describe('typed flags', () => {
+  const provider = createMemoryProvider({ tempo: '120', on: 'false', fx: '{"room":0.5}', chord: '["c3","e3","g3"]' });
+  const values = (pat) => pat.queryArc(0, 1).map((hap) => hap.value);
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    await setFlagProvider(provider);
+  });
+  afterEach(() => {
+    provider.setAll({ tempo: '120', on: 'false', fx: '{"room":0.5}', chord: '["c3","e3","g3"]' });
+    vi.restoreAllMocks();
+  });
+
+  it('converts numbers and booleans', () => {
+    expect(values(flagNumber('tempo'))).toEqual([120]);
+    expect(values(flagBool('on', true))).toEqual([false]);
+    provider.set('tempo', 'fast');
+    expect(values(flagNumber('tempo', 100))).toEqual([120]);
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks ranges and JSON', () => {
+    expect(values(flagJSON('fx'))).toEqual([{ room: 0.5 }]);
+    provider.set('tempo', 400);
+    expect(values(flagNumber('tempo', 100, { max: 300 }))).toEqual([100]);
+    provider.set('fx', '[1, 2]');
+    expect(values(flagJSON('fx'))).toEqual([{ room: 0.5 }]);
+  });
+
+  it('turns lists into sequences or stacks', () => {
+    expect(values(flagList('chord'))).toEqual(['c3', 'e3', 'g3']);
+    expect(
+      flagList('chord', [], { as: 'stack' })
+        .queryArc(0, 1)
+        .map((hap) => hap.whole.end.valueOf()),
+    ).toEqual([1, 1, 1]);
+    // only strings marked with mini: are parsed
+    provider.set('chord', ['c3,e3', 'mini:<e3 eb3>']);
+    expect(values(flagList('chord'))).toEqual(['c3,e3', 'e3']);
+    expect(flagList('chord').queryArc(1, 2)[1].value).toEqual('eb3');
+  });
+
+  it('lets flag() parse marked strings', () => {
+    provider.set('tempo', 'mini:120 130');
+    expect(values(flag('tempo'))).toEqual([120, 130]);
+  });
+});
+
+describe('flagSignal', () => {
+  const provider = createMemoryProvider({ cutoff: 0 });
+  const sample = (pat, cycle) => pat.queryArc(cycle, cycle)[0].value;
+  beforeEach(async () => {
+    await setFlagProvider(provider);
+    setFlagScheduler({ started: true, now: () => 1.5, lastEnd: 2, cps: 0.5 });
+  });
+  afterEach(() => {
+    setFlagScheduler(undefined);
+    provider.set('cutoff', 0);
+  });
+
+  it('is a continuous signal', () => {
+    const cutoff = flagSignal('cutoff');
+    provider.set('cutoff', 1);
+    expect(sample(cutoff.range(200, 4000), 3)).toEqual(4000);
+    expect(
+      cutoff
+        .segment(4)
+        .queryArc(2, 3)
+        .map((hap) => hap.value),
+    ).toEqual([1, 1, 1, 1]);
+  });
+
+  it('glides from the previous value', () => {
+    const cutoff = flagSignal('cutoff', 0, { smooth: 4 });
+    provider.set('cutoff', 1);
+    expect([2, 3, 6].map((cycle) => sample(cutoff, cycle))).toEqual([0, 0.25, 1]);
+    const seconds = flagSignal('cutoff', 0, { smooth: { duration: 4, unit: 'seconds' } });
+    expect(sample(seconds, 3)).toEqual(0.5);
+  });
+});
+
+describe('flag cache', () => {
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      items,
+      get length() {
+        return items.size;
+      },
+      key: (i) => [...items.keys()][i] ?? null,
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+      removeItem: (key) => items.delete(key),
+    };
+  };
+
+  it('keeps the flags of each client and context with a timestamp', () => {
+    const storage = createStorage();
+    const context = { kind: 'user', key: 'felix', venue: 'berghain' };
+    expect(loadFlagCache('client', context, storage)).toBeUndefined();
+    saveFlagCache('client', context, { scale: 'c:minor' }, storage);
+    const cache = loadFlagCache('client', { venue: 'berghain', key: 'felix', kind: 'user' }, storage);
+    expect(cache.flags).toEqual({ scale: 'c:minor' });
+    expect(Date.now() - cache.time).toBeLessThan(1000);
+    expect(loadFlagCache('other', context, storage)).toBeUndefined();
+    expect(loadFlagCache('client', { ...context, venue: 'tresor' }, storage)).toBeUndefined();
+  });
+
+  it('finds the flags after a reload with the default context', () => {
+    const storage = createStorage();
+    const settings = { launchDarklyContext: '' };
+    const save = (json) => (settings.launchDarklyContext = json);
+    const context = loadFlagContext(settings.launchDarklyContext, save);
+    expect(context).toMatchObject({ kind: 'user', anonymous: true });
+    saveFlagCache('client', context, { scale: 'c:minor' }, storage);
+    // the next page load reads the saved context
+    const reloaded = loadFlagContext(settings.launchDarklyContext, save);
+    expect(reloaded).toEqual(context);
+    expect(loadFlagCache('client', reloaded, storage).flags).toEqual({ scale: 'c:minor' });
+  });
+
+  it('removes the caches of other contexts of the client', () => {
+    const storage = createStorage();
+    saveFlagCache('client', { kind: 'user', key: 'a' }, {}, storage);
+    saveFlagCache('other', { kind: 'user', key: 'a' }, {}, storage);
+    saveFlagCache('client', { kind: 'user', key: 'b' }, { scale: 'c:minor' }, storage);
+    expect(storage.items.size).toEqual(2);
+    expect(loadFlagCache('client', { kind: 'user', key: 'a' }, storage)).toBeUndefined();
+    expect(loadFlagCache('other', { kind: 'user', key: 'a' }, storage)).toBeDefined();
+  });
+
+  it('ignores invalid caches', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createStorage();
+    const context = { kind: 'user', key: 'felix' };
+    saveFlagCache('client', context, {}, storage);
+    const [key] = [...storage.items.keys()];
+    storage.setItem(key, '{nope');
+    expect(loadFlagCache('client', context, storage)).toBeUndefined();
+    storage.setItem(key, '{"flags": {}}');
+    expect(loadFlagCache('client', context, storage)).toBeUndefined();
+    vi.restoreAllMocks();
+  });
+
+  it('reports whether the flags are live', async () => {
+    const provider = createMemoryProvider({ scale: 'c:minor' });
+    provider.getFreshness = () => ({ live: false, updated: 1000 });
+    await setFlagProvider(provider);
+    expect(getFlagStatus()).toEqual({ status: 'ready', provider: 'memory', live: false, updated: 1000 });
+  });
+});
+
+describe('flag connection', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(async () => {
+    await closeFlagProvider();
+    vi.restoreAllMocks();
+  });
+
+  it('follows the connection of the provider and logs changes', async () => {
+    const provider = createMemoryProvider({});
+    let report;
+    provider.onStatus = (listener) => {
+      report = listener;
+      return () => {};
+    };
+    await setFlagProvider(provider);
+    expect($flagConnection.get().state).toEqual('initializing');
+    report('live');
+    report('reconnecting', { attempt: 1, retryAt: 1000 });
+    expect($flagConnection.get()).toMatchObject({ state: 'reconnecting', attempt: 1 });
+    report('reconnecting', { attempt: 2, retryAt: 3000 });
+    expect($flagConnection.get()).toMatchObject({ state: 'reconnecting', attempt: 2 });
+    report('live');
+    expect(console.log.mock.calls.map(([message]) => message.replace('%c', ''))).toEqual([
+      '[LaunchDarkly] connecting...',
+      '[LaunchDarkly] live',
+      '[LaunchDarkly] connection lost, reconnecting...',
+      '[LaunchDarkly] live',
+    ]);
+    await closeFlagProvider();
+    expect($flagConnection.get().state).toEqual('idle');
+  });
+
+  it('closes a provider that failed to initialize', async () => {
+    let report;
+    const provider = {
+      init: () => Promise.reject(new Error('offline')),
+      close: vi.fn(),
+      onStatus: (listener) => {
+        report = listener;
+        return () => (report = undefined);
+      },
+    };
+    await expect(setFlagProvider(provider)).rejects.toThrow('offline');
+    expect(provider.close).toHaveBeenCalledTimes(1);
+    expect(report).toBeUndefined();
+    expect($flagConnection.get().state).toEqual('failed');
+    setFlagConnection('idle');
+  });
+
+  it('ignores impossible transitions', () => {
+    setFlagConnection('initializing');
+    setFlagConnection('failed');
+    setFlagConnection('live');
+    expect($flagConnection.get().state).toEqual('failed');
+    setFlagConnection('idle');
+  });
+
+  it('backs off exponentially', () => {
+    const policy = { ...defaultReconnectPolicy, jitter: 0, maxAttempts: 5 };
+    expect([1, 2, 3, 4, 5, 6].map((attempt) => getReconnectDelay(attempt, policy))).toEqual([
+      1000,
+      2000,
+      4000,
+      8000,
+      16000,
+      undefined,
+    ]);
+    expect(getReconnectDelay(10, { ...policy, maxAttempts: Infinity })).toEqual(30000);
+  });
+});
+
+describe('flag environments', () => {
+  it('picks the client ID of the selected environment', () => {
+    const launchDarklyClientIds = JSON.stringify({ staging: 'staging-id', production: 'production-id' });
+    const settings = { launchDarklyEnvironment: 'staging', launchDarklyClientIds, launchDarklyBaseUrl: '' };
+    expect(getFlagClientId(settings, 'build-id')).toEqual('staging-id');
+    expect(getFlagClientId({ ...settings, launchDarklyEnvironment: '' }, 'build-id')).toEqual('build-id');
+    expect(getFlagClientId({ ...settings, launchDarklyEnvironment: 'development' }, 'build-id')).toEqual(undefined);
+    expect(
+      getFlagClientId({ ...settings, launchDarklyEnvironment: 'development', launchDarklyBaseUrl: 'http://localhost' }),
+    ).toEqual('local');
+    expect(getFlagClientId({ ...settings, launchDarklyClientIds: 'not json' }, 'build-id')).toEqual(undefined);
+  });
+
+  it('keeps the last flag values when switching to an environment without client ID', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await setFlagProvider(createStaticProvider({ tempo: 120 }));
+    await switchLaunchDarkly(undefined);
+    expect(getFlagStatus().status).not.toEqual('ready');
+    expect(getFlag('tempo', 100)).toEqual(120);
+  });
+
+  it('keeps the current provider when the next one fails', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const current = createMemoryProvider({ tempo: 120 });
+    await setFlagProvider(current);
+    const failing = { init: () => Promise.reject(new Error('unknown client ID')), close: vi.fn() };
+    await expect(setFlagProvider(failing, { keepOnFailure: true })).rejects.toThrow('unknown client ID');
+    expect(failing.close).toHaveBeenCalledTimes(1);
+    expect(getFlagStatus()).toMatchObject({ status: 'ready', provider: 'memory' });
+    expect(getFlag('tempo', 100)).toEqual(120);
+    current.set('tempo', 130);
+    expect(getFlag('tempo', 100)).toEqual(130);
+    expect(log.mock.calls.some(([message]) => message.includes('playing the previous flags'))).toBe(true);
+    log.mockRestore();
+  });
+});
+
+describe('setcpmFlag', () => {
+  const createScheduler = () => ({
+    started: true,
+    now: () => 0,
+    cps: 0.5,
+    setCps(cps) {
+      this.cps = cps;
+    },
+  });
+  afterEach(() => {
+    clearFlagTempo();
+    setFlagScheduler(undefined);
+  });
+
+  it('follows the flag, also when the provider connects later', async () => {
+    await closeFlagProvider();
+    const scheduler = createScheduler();
+    setFlagScheduler(scheduler);
+    setcpmFlag('globalTempo', 100, 4);
+    expect(scheduler.cps * 60).toEqual(25);
+    const provider = createMemoryProvider({ globalTempo: 120 });
+    await setFlagProvider(provider);
+    expect(scheduler.cps * 60).toEqual(30);
+    provider.set('globalTempo', 140);
+    expect(getFlagTempo()).toEqual({ cpm: 35, bpm: 140, flagKey: 'globalTempo', target: 35 });
+  });
+
+  it('is replaced by the next binding and removed by clearFlagTempo', async () => {
+    const provider = createMemoryProvider({ globalTempo: 120, otherTempo: 30 });
+    await setFlagProvider(provider);
+    const scheduler = createScheduler();
+    setFlagScheduler(scheduler);
+    setcpmFlag('globalTempo', 100, 4);
+    setcpmFlag('otherTempo', 20);
+    provider.set('globalTempo', 160);
+    expect(scheduler.cps * 60).toEqual(30);
+    provider.set('otherTempo', 40);
+    expect(scheduler.cps * 60).toEqual(40);
+    clearFlagTempo();
+    provider.set('otherTempo', 50);
+    expect(scheduler.cps * 60).toEqual(40);
+    expect(getFlagTempo()).toEqual({ cpm: 40, bpm: undefined, flagKey: undefined, target: undefined });
+  });
+});
+
+describe('flag manifest', () => {
+  const manifest = {
+    flags: [
+      { key: 'globalTempo', description: 'tempo in bpm', type: 'number', default: 120, ramp: { duration: 8 } },
+      {
+        key: 'scale',
+        default: '<g:minor>',
+        variations: [
+          { value: '<g:minor>', name: 'G Minor' },
+          { value: '<a:minor>', name: 'A Minor' },
+        ],
+        quantize: 4,
+      },
+      { key: 'drumsEnabled', type: 'boolean', default: true, variations: [true, false] },
+      { key: 'melodySpeed', type: 'json', default: [16, 4], variations: [[16, 4], [8]] },
+    ],
+  };
+  let log;
+  beforeEach(async () => {
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    clearFlagReferences();
+    await setFlagProvider(createMemoryProvider({}));
+  });
+  afterEach(() => {
+    setFlagManifest();
+    log.mockRestore();
+  });
+
+  it('normalizes variations and rejects bad flags', () => {
+    const { flags } = parseFlagManifest(manifest);
+    expect(flags[1].type).toEqual('string');
+    expect(flags[2].variations).toEqual([{ value: true }, { value: false }]);
+    expect(parseFlagManifest({ flags: [{ key: 'scale', variations: ['<c:major>'] }] }).flags[0].default).toEqual(
+      '<c:major>',
+    );
+    expect(() => parseFlagManifest({ flags: [{ key: 'a' }, { key: 'a' }] })).toThrow('defined twice');
+    expect(() => parseFlagManifest({ flags: [{ key: 'a', type: 'number', default: 'fast' }] })).toThrow(
+      '"fast" is no number value of "a"',
+    );
+    expect(() => parseFlagManifest({ flags: [{ key: 'a', type: 'float' }] })).toThrow('type of "a"');
+  });
+
+  it('round-trips through the LaunchDarkly export', () => {
+    const parsed = parseFlagManifest(manifest);
+    const exported = toLaunchDarklyExport(parsed);
+    expect(exported.items[0]).toMatchObject({
+      key: 'globalTempo',
+      kind: 'multivariate',
+      variations: [{ value: 120, name: 'Default' }],
+      customProperties: { 'strudel-ramp': { value: ['{"duration":8}'] } },
+    });
+    expect(exported.items[2]).toMatchObject({ kind: 'boolean', defaults: { onVariation: 0, offVariation: 1 } });
+    const { flags } = fromLaunchDarklyExport(exported);
+    // the default of globalTempo became a variation
+    expect(flags[0]).toEqual({ ...parsed.flags[0], variations: [{ value: 120, name: 'Default' }] });
+    expect(flags.slice(1)).toEqual(parsed.flags.slice(1));
+  });
+
+  it('gives defaults, variation names and hints to the flags', () => {
+    setFlagManifest(manifest);
+    expect(getFlag('globalTempo')).toEqual(120);
+    expect(getFlag('unknown', 100)).toEqual(100);
+    flag('scale');
+    expect(getFlagReport()).toMatchObject([
+      { key: 'scale', defaultValue: '<g:minor>', variation: 'G Minor', unused: false },
+      { key: 'globalTempo', description: 'tempo in bpm', unused: true },
+      { key: 'drumsEnabled', unused: true },
+      { key: 'melodySpeed', unused: true },
+    ]);
+    expect(exportFlagManifest().flags.map(({ key }) => key)).toEqual([
+      'globalTempo',
+      'scale',
+      'drumsEnabled',
+      'melodySpeed',
+    ]);
+  });
+
+  it('keeps the defaults of the code over the ones of the manifest', () => {
+    setFlagManifest(manifest);
+    expect(getFlag('globalTempo', 100)).toEqual(100);
+    expect(getFlag('drumsEnabled', false)).toEqual(false);
+    flag('scale', '<c:major>');
+    expect(getFlagReport()[0]).toMatchObject({ key: 'scale', defaultValue: '<c:major>', value: '<c:major>' });
+    setFlagManifest();
+    expect(getFlag('globalTempo')).toBeUndefined();
+  });
+
+  it('loads LaunchDarkly exports and rejects remote values of another type', async () => {
+    setFlagManifest(toLaunchDarklyExport(parseFlagManifest(manifest)));
+    const provider = createMemoryProvider({ globalTempo: 130 });
+    await setFlagProvider(provider);
+    provider.set('globalTempo', 'fast');
+    expect(getLatestFlag('globalTempo', 100)).toEqual(130);
+    expect(log.mock.calls.filter(([message]) => message.includes('see the flag manifest')).length).toEqual(1);
+  });
+});
+
+describe('flag kill switch', () => {
+  const createScheduler = (cycle) => ({
+    started: true,
+    cps: 0.5,
+    now: () => cycle,
+    stop: vi.fn(function () {
+      this.started = false;
+    }),
+    start: vi.fn(function () {
+      this.started = true;
+    }),
+  });
+  // triggers the haps of the given cycle, returns the gains that reached the output
+  const play = (begin) => {
+    const played = [];
+    const faded = fadeFlagOutput((hap) => played.push(hap.value.gain ?? 1));
+    s(seq('bd', 'bd'))
+      .queryArc(begin, begin + 1)
+      .forEach((hap) => faded(hap));
+    return played;
+  };
+  let provider, log;
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    provider = createMemoryProvider({ killSwitch: false });
+    await setFlagProvider(provider);
+  });
+  afterEach(() => {
+    clearFlagKillSwitch();
+    setFlagScheduler(undefined);
+    vi.useRealTimers();
+    log.mockRestore();
+  });
+
+  it('fades out, stops the scheduler and starts it again when released', () => {
+    const scheduler = createScheduler(2);
+    setFlagScheduler(scheduler);
+    setFlagKillSwitch('killSwitch', { fade: 2 });
+    expect(play(2)).toEqual([1, 1]);
+    provider.set('killSwitch', true);
+    expect(getFlagKillSwitch()).toEqual({ flagKey: 'killSwitch', state: 'fading' });
+    // 2 seconds are 1 cycle at 0.5 cps
+    expect(play(2)).toEqual([1, 0.5]);
+    expect(play(3)).toEqual([]);
+    vi.advanceTimersByTime(2000);
+    expect(scheduler.stop).toHaveBeenCalledTimes(1);
+    expect(getFlagKillSwitch().state).toEqual('muted');
+    provider.set('killSwitch', false);
+    expect(scheduler.start).toHaveBeenCalledTimes(1);
+    expect(getFlagKillSwitch().state).toEqual('off');
+  });
+
+  it('stops and plays with the controls of the repl, the restart plays the latest flags', () => {
+    const scheduler = { ...createScheduler(2), setCps: vi.fn() };
+    const playback = {
+      stop: vi.fn(() => (scheduler.started = false)),
+      start: vi.fn(() => (scheduler.started = true)),
+    };
+    setFlagScheduler(scheduler, playback);
+    setcpmFlag('globalTempo', 120);
+    setFlagQuantize('scale', 4);
+    setFlagKillSwitch('killSwitch', { fade: 2 });
+    provider.set('killSwitch', true);
+    provider.set('scale', '<a:minor>');
+    vi.advanceTimersByTime(2000);
+    expect(playback.stop).toHaveBeenCalledTimes(1);
+    expect(scheduler.stop).not.toHaveBeenCalled();
+    // the tempo binding goes with the stopped code, like on hush
+    expect(getFlagTempo().flagKey).toBeUndefined();
+    expect(getFlagAt('scale', 0, '<g:minor>')).toEqual('<g:minor>');
+    provider.set('killSwitch', false);
+    expect(playback.start).toHaveBeenCalledTimes(1);
+    expect(getFlagAt('scale', 0, '<g:minor>')).toEqual('<a:minor>');
+    setFlagQuantize('scale', undefined);
+  });
+
+  it('comes back at the next bar when released during the fade', () => {
+    const scheduler = createScheduler(2);
+    setFlagScheduler(scheduler);
+    setFlagQuantize(4);
+    setFlagKillSwitch('killSwitch', { fade: 2, bar: 4 });
+    provider.set('killSwitch', true);
+    provider.set('killSwitch', false);
+    vi.advanceTimersByTime(2000);
+    expect(scheduler.stop).not.toHaveBeenCalled();
+    expect(getFlagKillSwitch().state).toEqual('resuming');
+    expect(play(3)).toEqual([]);
+    expect(play(4)).toEqual([1, 1]);
+    setFlagQuantize(undefined);
+  });
+
+  it('mutes a scheduler that is not playing', () => {
+    provider.set('killSwitch', true);
+    setFlagKillSwitch();
+    expect(play(0)).toEqual([]);
+    setFlagKillSwitch('');
+    expect(play(0)).toEqual([1, 1]);
+  });
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+import { readFile } from 'fs/promises';
+import { parseTerraformFlags } from '@strudel/flagserver';
+import { checkTerraformFlags, collectTuneFlags, renderTerraformFlag } from './flagtf.mjs';
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const i = args.indexOf(flag);
+  if (i !== -1) {
+    const nextIsFlag = args[i + 1]?.startsWith('--') ?? true;
+    if (nextIsFlag) return true;
+    return args[i + 1];
+  }
+}
+
+const checkPath = getArgValue('--check');
+const project = getArgValue('--project') || 'strudel';
+const options = new Set(['--check', '--project']);
+const tunePaths = args.filter((arg, i) => !arg.startsWith('--') && !options.has(args[i - 1]));
+
+if (!tunePaths.length || checkPath === true) {
+  console.error('usage: flag-tf.mjs <tune file>... [--check terraform/main.tf] [--project strudel]');
+  process.exit(1);
+}
+
+// flags of all tunes, merged by key
+const flags = new Map();
+for (const path of tunePaths) {
+  let tuneFlags;
+  try {
+    tuneFlags = collectTuneFlags(await readFile(path, 'utf8'));
+  } catch (err) {
+    console.error(`could not read the flags of ${path}: ${err.message}`);
+    process.exit(1);
+  }
+  tuneFlags.forEach((flag) => {
+    const known = flags.get(flag.key);
+    if (!known) {
+      flags.set(flag.key, flag);
+      return;
+    }
+    const defaults = [...known.defaults];
+    flag.defaults.forEach((value) => {
+      !defaults.some((known) => JSON.stringify(known) === JSON.stringify(value)) && defaults.push(value);
+    });
+    const types = [...new Set([known.type, ...known.conflicts, flag.type, ...flag.conflicts])];
+    flags.set(flag.key, {
+      ...known,
+      defaults,
+      helpers: [...new Set([...known.helpers, ...flag.helpers])],
+      conflicts: types.slice(1),
+    });
+  });
+}
+
+// a flag without a default can't be rendered, it is reported and flag-tf fails after writing the other flags
+const render = (flag) => {
+  try {
+    return renderTerraformFlag(flag, { project });
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+};
+const renderAll = (flags) =>
+  flags
+    .map(render)
+    .filter((resource) => resource !== undefined)
+    .join('\n\n');
+
+if (!checkPath) {
+  console.log(renderAll([...flags.values()]));
+} else {
+  const problems = checkTerraformFlags([...flags.values()], parseTerraformFlags(await readFile(checkPath, 'utf8')));
+  const symbols = { missing: '+', unused: '-' };
+  problems.forEach(({ kind, key, message }) => console.log(`${symbols[kind] ?? '~'} ${key}: ${message}`));
+  const missing = problems.filter(({ kind }) => kind === 'missing');
+  if (missing.length) {
+    console.log(`\n# resources for the missing flags:\n`);
+    console.log(renderAll(missing.map(({ key }) => flags.get(key))));
+  }
+  const failed = problems.some(({ kind }) => kind !== 'unused');
+  console.log(failed ? `\n${checkPath} is out of sync with the tune` : `\n${checkPath} covers all flags of the tune`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,215 @@
+/*
+flagtf.mjs - generates launchdarkly_feature_flag resources from the flags a tune uses
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/tools/flagtf/flagtf.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { transpiler } from '@strudel/transpiler';
+import { inferFlagType } from '@strudel/flagserver';
+
+// types of the transpiler flag discovery -> variation_type of launchdarkly_feature_flag
+const variationTypes = { boolean: 'boolean', number: 'number', string: 'string', object: 'json', array: 'json' };
+
+/**
+ * Collects the flags a tune uses, with the static flag discovery of the transpiler.
+ * Calls of the same flag are merged, all of their default values (and flagSwitch variations) become variations.
+ *
+ * @param {string} code tune source
+ * @returns {Object[]} [{ key, type, defaults, helpers, conflicts }], type is a launchdarkly variation_type
+ */
+export function collectTuneFlags(code) {
+  const { flags: calls } = transpiler(code, { wrapAsync: false, addReturn: false });
+  const flags = new Map();
+  calls.forEach(({ key, defaultValue, type, helper, variations = [] }) => {
+    const flag = flags.get(key) ?? { key, types: [], defaults: [], helpers: [] };
+    const variationType =
+      variationTypes[type] ?? (defaultValue !== undefined ? inferFlagType(defaultValue) : undefined);
+    variationType && !flag.types.includes(variationType) && flag.types.push(variationType);
+    // the variation names of a flagSwitch are values of the flag as well
+    [defaultValue, ...variations]
+      .filter((value) => value !== undefined && !flag.defaults.some((known) => sameValue(known, value)))
+      .forEach((value) => flag.defaults.push(value));
+    !flag.helpers.includes(helper) && flag.helpers.push(helper);
+    flags.set(key, flag);
+  });
+  return [...flags.values()].map(({ types, ...flag }) => ({
+    ...flag,
+    type: types[0] ?? 'json',
+    conflicts: types.slice(1),
+  }));
+}
+
+/**
+ * Defaults of the flag helpers of website/src/repl/launchdarkly.mjs, which play when a call gives none
+ */
+export const helperDefaults = {
+  flagNumber: 0,
+  flagBool: false,
+  flagJSON: {},
+  flagList: [],
+  flagSignal: 0,
+  setcpmFlag: 100,
+  toggle: true,
+  polySpeed: 1,
+  drumKit: { bank: 'RolandTR808', gain: 1 },
+  bassSound: { sound: 'gm_synth_bass_2', lpf: 1800, gain: 1 },
+  leadSound: { sound: 'sawtooth', lpf: 300, lpq: 0, gain: 1 },
+  flagControls: {},
+  rollout: 100,
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// globalTempo -> global_tempo
+const toResourceName = (key) =>
+  key
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replace(/[^\w]+/g, '_')
+    .toLowerCase();
+
+// globalTempo -> Global Tempo
+const toTitle = (key) =>
+  key
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+
+// quotes a string for HCL, where ${ and %{ start templates
+const hclString = (value) => JSON.stringify(value).replace(/\$\{/g, '$${').replace(/%\{/g, '%%{');
+
+const hclIdentifier = /^[A-Za-z_][\w-]*$/;
+
+const hclValue = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(hclValue).join(', ')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${hclIdentifier.test(key) ? key : hclString(key)} = ${hclValue(item)}`,
+    );
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return typeof value === 'string' ? hclString(value) : String(value);
+};
+
+// variations are strings in terraform, json variations use jsonencode like terraform/main.tf
+const variationValue = (value, type) => (type === 'json' ? `jsonencode(${hclValue(value)})` : hclString(String(value)));
+
+const variationName = (value, i, type) =>
+  type === 'json' ? (i ? `Default ${i + 1}` : 'Default') : String(value).slice(0, 40);
+
+/**
+ * Describes the variations of a flag: booleans get On and Off, other flags one variation per default value.
+ * The first default of the code is served when the flag is on. Without literal defaults in the code,
+ * the default of the helper is used.
+ *
+ * @param {Object} flag from collectTuneFlags
+ * @returns {Object} { variations: [{ value, name }], on, off }
+ */
+export function getVariations({ type, defaults, helpers = [] }) {
+  if (!defaults.length) {
+    const helper = helpers.find((helper) => Object.hasOwn(helperDefaults, helper));
+    defaults = helper ? [helperDefaults[helper]] : [];
+  }
+  if (type === 'boolean') {
+    return {
+      variations: [
+        { value: true, name: 'On' },
+        { value: false, name: 'Off' },
+      ],
+      on: defaults[0] === false ? 1 : 0,
+      off: defaults[0] === false ? 0 : 1,
+    };
+  }
+  const variations = defaults.map((value, i) => ({ value, name: variationName(value, i, type) }));
+  return { variations, on: 0, off: variations.length > 1 ? 1 : 0 };
+}
+
+/**
+ * Renders a launchdarkly_feature_flag resource in the style of terraform/main.tf,
+ * throws when neither the code nor its helpers give the flag a default value
+ *
+ * @param {Object} flag from collectTuneFlags
+ * @param {Object} options
+ * @param {string} options.project terraform name of the launchdarkly_project resource
+ * @returns {string} terraform source
+ */
+export function renderTerraformFlag(flag, { project = 'strudel' } = {}) {
+  const { key, type, helpers } = flag;
+  const { variations, on, off } = getVariations(flag);
+  if (!variations.length) {
+    throw new Error(
+      `flag "${key}" has no literal default value in the code, give it one (e.g. ${helpers[0]}('${key}', value)) so its variations can be written`,
+    );
+  }
+  const title = toTitle(key);
+  const lines = [
+    '# =============================================================================',
+    `# ${title.toUpperCase()} FLAG - used by ${helpers.map((helper) => `${helper}()`).join(', ')}`,
+    '# =============================================================================',
+    `resource "launchdarkly_feature_flag" "${toResourceName(key)}" {`,
+    `  project_key = launchdarkly_project.${project}.key`,
+    `  key         = ${hclString(key)}`,
+    `  name        = ${hclString(title)}`,
+    `  description = ""`,
+    '',
+    `  variation_type = "${type}"`,
+    '',
+  ];
+  variations.forEach(({ value, name }) => {
+    lines.push('  variations {', `    value = ${variationValue(value, type)}`, `    name  = ${hclString(name)}`, '  }');
+  });
+  lines.push(
+    '',
+    '  defaults {',
+    `    on_variation  = ${on}`,
+    `    off_variation = ${off}`,
+    '  }',
+    '',
+    '  client_side_availability {',
+    '    using_mobile_key     = true',
+    '    using_environment_id = true',
+    '  }',
+    '',
+    '  tags      = ["strudel"]',
+    '  temporary = false',
+    '}',
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Compares the flags of a tune with the flag definitions of a terraform file (see parseTerraformFlags)
+ *
+ * @param {Object[]} flags from collectTuneFlags
+ * @param {Object[]} definitions from parseTerraformFlags
+ * @returns {Object[]} [{ kind, key, message }], kind is missing, type, default, conflict or unused
+ */
+export function checkTerraformFlags(flags, definitions) {
+  const byKey = new Map(definitions.map((definition) => [definition.key, definition]));
+  const problems = flags.flatMap((flag) => {
+    const { key, type, defaults, conflicts } = flag;
+    const definition = byKey.get(key);
+    const found = [];
+    if (conflicts.length) {
+      found.push({ kind: 'conflict', key, message: `used as ${[type, ...conflicts].join(' and ')}` });
+    }
+    if (!definition) {
+      return [...found, { kind: 'missing', key, message: `no launchdarkly_feature_flag resource` }];
+    }
+    if (definition.type !== type) {
+      found.push({ kind: 'type', key, message: `variation_type is ${definition.type}, the code uses ${type}` });
+    }
+    defaults
+      .filter((value) => !definition.variations.some((variation) => sameValue(variation.value, value)))
+      .forEach((value) =>
+        found.push({ kind: 'default', key, message: `default ${JSON.stringify(value)} is no variation` }),
+      );
+    return found;
+  });
+  const used = new Set(flags.map(({ key }) => key));
+  const unused = definitions
+    .filter(({ key }) => !used.has(key))
+    .map(({ key }) => ({ kind: 'unused', key, message: 'not used by the tune' }));
+  return [...problems, ...unused];
+}
@@ -0,0 +1,100 @@
+/*
+flagtf.test.mjs - tests for generating terraform flag definitions from tunes
+Copyright (C) 2026 Strudel contributors - see <https://codeberg.org/uzu/strudel/src/branch/main/tools/flagtf/test/flagtf.test.mjs>
+This program is free software: you can redistribute it and/or modify it under the terms of the GNU Affero General Public License as published by the Free Software Foundation, either version 3 of the License, or (at your option) any later version. This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public License for more details. You should have received a copy of the GNU Affero General Public License along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { describe, it, expect } from 'vitest';
+import { parseTerraformFlags } from '@strudel/flagserver';
+import { checkTerraformFlags, collectTuneFlags, renderTerraformFlag } from '../flagtf.mjs';
+
+const tune = `setcpmFlag('globalTempo', 110, 4)
+$: s("bd*4").toggle('drumsEnabled', false).drumKit('drumKitSettings', { bank: 'RolandTR909', gain: 0.8 })
+$: note("c3").toggle('drumsEnabled')`;
+
+describe('collectTuneFlags', () => {
+  it('merges the calls of each flag', () => {
+    expect(collectTuneFlags(tune)).toEqual([
+      { key: 'globalTempo', type: 'number', defaults: [110], helpers: ['setcpmFlag'], conflicts: [] },
+      {
+        key: 'drumKitSettings',
+        type: 'json',
+        defaults: [{ bank: 'RolandTR909', gain: 0.8 }],
+        helpers: ['drumKit'],
+        conflicts: [],
+      },
+      { key: 'drumsEnabled', type: 'boolean', defaults: [false], helpers: ['toggle'], conflicts: [] },
+    ]);
+  });
+});
+
+describe('renderTerraformFlag', () => {
+  it('renders resources terraform can read back', () => {
+    const flags = collectTuneFlags(tune);
+    const definitions = parseTerraformFlags(flags.map((flag) => renderTerraformFlag(flag)).join('\n'));
+    expect(definitions.map(({ key, type, variations, variation }) => ({ key, type, variations, variation }))).toEqual([
+      { key: 'globalTempo', type: 'number', variations: [{ value: 110, name: '110' }], variation: 0 },
+      {
+        key: 'drumKitSettings',
+        type: 'json',
+        variations: [{ value: { bank: 'RolandTR909', gain: 0.8 }, name: 'Default' }],
+        variation: 0,
+      },
+      {
+        key: 'drumsEnabled',
+        type: 'boolean',
+        variations: [
+          { value: true, name: 'On' },
+          { value: false, name: 'Off' },
+        ],
+        variation: 1,
+      },
+    ]);
+    expect(checkTerraformFlags(flags, definitions)).toEqual([]);
+  });
+
+  it('asks for a default when the code gives none', () => {
+    const [flag] = collectTuneFlags(`const tempo = 110; setcps(flag('globalTempo', tempo))`);
+    expect(() => renderTerraformFlag(flag)).toThrow(/"globalTempo" has no literal default value/);
+  });
+
+  it('falls back to the defaults of the helpers', () => {
+    const flags = collectTuneFlags(
+      `$: note("c2").bassSound('bassSettings').toggle('bassEnabled').polySpeed('bassSpeed')`,
+    );
+    const definitions = parseTerraformFlags(flags.map((flag) => renderTerraformFlag(flag)).join('\n'));
+    expect(definitions.map(({ key, variations, variation }) => [key, variations[variation].value])).toEqual([
+      ['bassSpeed', 1],
+      ['bassEnabled', true],
+      ['bassSettings', { sound: 'gm_synth_bass_2', lpf: 1800, gain: 1 }],
+    ]);
+  });
+});
+
+describe('checkTerraformFlags', () => {
+  it('reports missing, mismatching and unused flags', () => {
+    const definitions = parseTerraformFlags(`
+resource "launchdarkly_feature_flag" "drum_kit_settings" {
+  key            = "drumKitSettings"
+  variation_type = "json"
+  variations {
+    value = jsonencode({ bank = "RolandTR808", gain = 1 })
+  }
+}
+resource "launchdarkly_feature_flag" "drums_enabled" {
+  key            = "drumsEnabled"
+  variation_type = "string"
+}
+resource "launchdarkly_feature_flag" "scale" {
+  key            = "scale"
+  variation_type = "string"
+}`);
+    expect(checkTerraformFlags(collectTuneFlags(tune), definitions).map(({ kind, key }) => `${kind} ${key}`)).toEqual([
+      'missing globalTempo',
+      'default drumKitSettings',
+      'type drumsEnabled',
+      'default drumsEnabled',
+      'unused scale',
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+import { useStore } from '@nanostores/react';
+import { useEffect, useState } from 'react';
+import cx from '@src/cx.mjs';
+import { $flagConnection } from '../flagconnection.mjs';
+
+const labels = {
+  initializing: 'flags: connecting',
+  live: 'flags: live',
+  reconnecting: 'flags: reconnecting',
+  offline: 'flags: offline',
+  failed: 'flags: failed',
+};
+
+// Shows the state of the LaunchDarkly connection, with a countdown to the next reconnect attempt
+export function FlagConnectionStatus({ isEmbedded }) {
+  const { state, error, attempt, retryAt } = useStore($flagConnection);
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!retryAt) {
+      return;
+    }
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [retryAt]);
+  if (state === 'idle') {
+    return null;
+  }
+  const retryIn = retryAt && retryAt > now ? Math.ceil((retryAt - now) / 1000) : undefined;
+  const title = [
+    error && `error: ${error.message ?? error}`,
+    attempt && `attempt ${attempt}`,
+    retryIn !== undefined && `retry in ${retryIn} s`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+  return (
+    <span
+      className={cx('flex items-center space-x-1 text-sm', !isEmbedded ? 'p-2' : 'px-2')}
+      title={title || labels[state]}
+    >
+      <span
+        className={cx(
+          'inline-block w-2 h-2 rounded-full',
+          state === 'live' ? 'bg-foreground' : 'border border-foreground',
+          ['initializing', 'reconnecting'].includes(state) && 'animate-pulse',
+        )}
+      />
+      {!isEmbedded && <span className={cx(state !== 'live' && 'opacity-50')}>{labels[state]}</span>}
+    </span>
+  );
+}
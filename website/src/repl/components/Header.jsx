@@ -2,6 +2,7 @@ import PlayCircleIcon from '@heroicons/react/20/solid/PlayCircleIcon';
 import StopCircleIcon from '@heroicons/react/20/solid/StopCircleIcon';
 import cx from '@src/cx.mjs';
 import { useSettings, setIsZen } from '../../settings.mjs';
+import { FlagConnectionStatus } from './FlagConnectionStatus.jsx';
 import '../Repl.css';
 
 const { BASE_URL } = import.meta.env;
@@ -82,6 +83,7 @@ export function Header({ context, embedded = false }) {
               <>loading...</>
             )}
           </button>
+          <FlagConnectionStatus isEmbedded={isEmbedded} />
           <button
             onClick={handleEvaluate}
             title="update"
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { Textbox } from '../textbox/Textbox.jsx';
+import { ActionButton } from '../button/action-button.jsx';
+import { combineFlagContexts, parseFlagContext, splitFlagContext } from '../../flagcontext.mjs';
+import { setFlagContext } from '../../launchdarkly.mjs';
+import { settingsMap } from '../../../settings.mjs';
+
+const toRow = ({ kind, key, ...attributes }) => ({ kind, key, attributes: JSON.stringify(attributes) });
+
+const fromRow = ({ kind, key, attributes }) => {
+  let parsed;
+  try {
+    parsed = attributes.trim() ? JSON.parse(attributes) : {};
+  } catch (err) {
+    throw new Error(`attributes of "${kind}" are no valid JSON`);
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error(`attributes of "${kind}" must be a JSON object`);
+  }
+  return { ...parsed, kind: kind.trim(), key: key.trim() };
+};
+
+// Edits the LaunchDarkly evaluation context, with one row per context kind (user, device, venue...)
+export function FlagContextEditor({ launchDarklyContext }) {
+  const [rows, setRows] = useState(() => splitFlagContext(parseFlagContext(launchDarklyContext)).map(toRow));
+  const [message, setMessage] = useState();
+  const updateRow = (index, change) => setRows(rows.map((row, i) => (i === index ? { ...row, ...change } : row)));
+
+  const apply = async () => {
+    try {
+      const context = combineFlagContexts(rows.map(fromRow));
+      settingsMap.setKey('launchDarklyContext', JSON.stringify(context));
+      await setFlagContext(context);
+      setMessage('context applied');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div className="grid gap-2">
+      {rows.map((row, i) => (
+        <div key={i} className="flex gap-2 items-center">
+          <Textbox className="w-24" placeholder="kind" value={row.kind} onChange={(kind) => updateRow(i, { kind })} />
+          <Textbox className="w-32" placeholder="key" value={row.key} onChange={(key) => updateRow(i, { key })} />
+          <Textbox
+            className="grow"
+            placeholder='attributes, e.g. {"city": "Berlin"}'
+            value={row.attributes}
+            onChange={(attributes) => updateRow(i, { attributes })}
+          />
+          <ActionButton label="remove" onClick={() => setRows(rows.filter((_, j) => j !== i))} />
+        </div>
+      ))}
+      <div className="flex gap-2 items-center">
+        <ActionButton label="add context" onClick={() => setRows([...rows, { kind: '', key: '', attributes: '{}' }])} />
+        <ActionButton label="apply" onClick={apply} />
+        {message && <span className="opacity-50">{message}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useRef, useState } from 'react';
+import { Textbox } from '../textbox/Textbox.jsx';
+import { flagEnvironments, getFlagClientId, parseFlagClientIds } from '../../flagenvironments.mjs';
+import { switchLaunchDarkly } from '../../launchdarkly.mjs';
+import { settingsMap } from '../../../settings.mjs';
+
+const environmentOptions = { '': 'as built', ...flagEnvironments };
+
+// Selects the LaunchDarkly environment and its client-side ID, switching connects the new client while the pattern keeps playing
+export function FlagEnvironmentEditor({ launchDarklyEnvironment, launchDarklyClientIds }) {
+  const [message, setMessage] = useState();
+  const clientIds = parseFlagClientIds(launchDarklyClientIds);
+  // the client ID that was last connected successfully, leaving the textbox without changing it doesn't reconnect
+  const connected = useRef(getFlagClientId(settingsMap.get(), import.meta.env.PUBLIC_LAUNCHDARKLY_CLIENT_ID));
+
+  const connect = async () => {
+    const settings = settingsMap.get();
+    const clientId = getFlagClientId(settings, import.meta.env.PUBLIC_LAUNCHDARKLY_CLIENT_ID);
+    if (clientId === connected.current) {
+      return;
+    }
+    try {
+      setMessage('connecting...');
+      await switchLaunchDarkly(clientId, { baseUrl: settings.launchDarklyBaseUrl });
+      // after a failed switch, the same client ID can be tried again
+      connected.current = clientId;
+      setMessage(clientId ? `connected to ${clientId}` : 'no client ID, flags keep their last values');
+    } catch (err) {
+      setMessage(`${err.message}, the previous flags keep playing`);
+    }
+  };
+
+  return (
+    <div className="grid gap-2">
+      <div className="flex gap-2 items-center">
+        <select
+          className="p-2 bg-background rounded-md text-foreground  border-foreground"
+          value={launchDarklyEnvironment}
+          onChange={(e) => {
+            settingsMap.setKey('launchDarklyEnvironment', e.target.value);
+            connect();
+          }}
+        >
+          {Object.entries(environmentOptions).map(([key, label]) => (
+            <option key={key} className="bg-background" value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <Textbox
+          className="grow"
+          disabled={!launchDarklyEnvironment}
+          placeholder={
+            launchDarklyEnvironment
+              ? 'client-side ID, see terraform output client_side_ids'
+              : 'PUBLIC_LAUNCHDARKLY_CLIENT_ID of the build'
+          }
+          value={clientIds[launchDarklyEnvironment] ?? ''}
+          onChange={(clientId) =>
+            settingsMap.setKey(
+              'launchDarklyClientIds',
+              JSON.stringify({ ...clientIds, [launchDarklyEnvironment]: clientId.trim() }),
+            )
+          }
+          onBlur={connect}
+        />
+      </div>
+      {message && <span className="opacity-50">{message}</span>}
+    </div>
+  );
+}
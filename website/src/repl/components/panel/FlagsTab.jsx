@@ -0,0 +1,300 @@
+import cx from '@src/cx.mjs';
+import { useEffect, useState } from 'react';
+import { useSettings } from '../../../settings.mjs';
+import { logger } from '@strudel/core';
+import {
+  exportFlagManifest,
+  getFlagKillSwitch,
+  getFlagReport,
+  getFlagStatus,
+  getFlagTempo,
+  revertFlagOverride,
+  setFlagManifest,
+  setFlagOverride,
+} from '../../launchdarkly.mjs';
+import { downloadFlagManifest } from '../../flagmanifest.mjs';
+
+const sourceLabels = {
+  launchdarkly: 'LaunchDarkly',
+  static: 'static',
+  memory: 'memory',
+  replay: 'replay',
+  override: 'local override',
+  rollback: 'rolled back',
+  default: 'default',
+};
+
+const statusMessages = {
+  uninitialized:
+    'The LaunchDarkly client was never initialized, so all flags play their default values. Set PUBLIC_LAUNCHDARKLY_CLIENT_ID or a LaunchDarkly Base URL in the settings.',
+  initializing: 'Connecting to the flag provider...',
+  failed: 'The flag provider failed to initialize, so all flags play their default values',
+};
+
+const killSwitchMessages = {
+  fading: 'is on, fading out...',
+  muted: 'is on, the output is muted',
+  resuming: 'is off, the output comes back at the next bar',
+};
+
+// Describes how long ago a time was, e.g. '5 min ago'
+function formatAge(time) {
+  const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+  if (seconds < 60) return `${seconds} s ago`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h ago`;
+  return `${Math.round(seconds / 86400)} days ago`;
+}
+
+// flags change with the cycle position (quantized changes, ramps), so the tab polls
+function useFlagReport(interval = 250) {
+  const getReport = () => ({
+    status: getFlagStatus(),
+    flags: getFlagReport(),
+    tempo: getFlagTempo(),
+    killSwitch: getFlagKillSwitch(),
+  });
+  const [report, setReport] = useState(getReport);
+  useEffect(() => {
+    const id = setInterval(() => setReport(getReport()), interval);
+    return () => clearInterval(id);
+  }, [interval]);
+  return report;
+}
+
+export function FlagsTab() {
+  const { status, flags, tempo, killSwitch } = useFlagReport();
+  const { fontFamily } = useSettings();
+  const message = statusMessages[status.status];
+  return (
+    <div id="flags-tab" className="px-4 flex gap-2 flex-col w-full h-full text-foreground" style={{ fontFamily }}>
+      {message && (
+        <div className="bg-foreground text-background p-2 rounded-md text-sm">
+          {message}
+          {status.error ? `: ${status.error.message ?? status.error}` : ''}
+        </div>
+      )}
+      {killSwitchMessages[killSwitch.state] && (
+        <div className="bg-foreground text-background p-2 rounded-md text-sm">
+          Kill switch {killSwitch.flagKey} {killSwitchMessages[killSwitch.state]}
+        </div>
+      )}
+      {status.live === false && (
+        <div className="bg-foreground text-background p-2 rounded-md text-sm">
+          Playing cached flags{status.updated ? ` from ${formatAge(status.updated)}` : ''}, waiting for LaunchDarkly...
+        </div>
+      )}
+      {status.live && <div className="text-sm opacity-50">live, updated {formatAge(status.updated)}</div>}
+      {tempo.flagKey && <TempoInfo tempo={tempo} />}
+      <ManifestActions />
+      <div className="min-h-0 max-h-full grow overflow-auto text-sm bg-background p-2 rounded-md">
+        {!flags.length && (
+          <div className="opacity-50">The current code does not use any flags, and there is no flag manifest.</div>
+        )}
+        <table className="w-full">
+          <tbody>
+            {flags.map((flag) => (
+              <FlagRow key={flag.key} flag={flag} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Shows the effective tempo of the scheduler, and the tempo it moves to while a tempo ramp runs
+function TempoInfo({ tempo }) {
+  const { cpm, bpm, flagKey, target } = tempo;
+  const round = (value) => Math.round(value * 100) / 100;
+  const ramping = target !== undefined && Math.abs(target - cpm) > 0.01;
+  return (
+    <div className="text-sm">
+      tempo {round(cpm)} cpm{bpm !== undefined && ` / ${round(bpm)} bpm`}
+      {ramping && <span className="opacity-50"> → {round(target)} cpm</span>}
+      <span className="opacity-50"> from {flagKey}</span>
+    </div>
+  );
+}
+
+// Shares the flag set with a tune: the manifest of the used flags, or the same flags as a LaunchDarkly export
+function ManifestActions() {
+  const importManifest = async (file) => {
+    try {
+      setFlagManifest(JSON.parse(await file.text()));
+      logger(`[LaunchDarkly] loaded flags from ${file.name}`);
+    } catch (err) {
+      logger(`[LaunchDarkly] could not load ${file.name}: ${err.message}`, 'error');
+    }
+  };
+  return (
+    <div className="flex gap-2 text-sm">
+      <button className="hover:opacity-50" onClick={() => downloadFlagManifest(exportFlagManifest())}>
+        download flags.json
+      </button>
+      <button
+        className="hover:opacity-50"
+        onClick={() => downloadFlagManifest(exportFlagManifest(), { launchDarkly: true })}
+      >
+        download LaunchDarkly export
+      </button>
+      <label className="hover:opacity-50 cursor-pointer">
+        <input
+          style={{ display: 'none' }}
+          type="file"
+          accept="application/json"
+          onChange={(e) => e.target.files[0] && importManifest(e.target.files[0])}
+        />
+        import flags
+      </label>
+    </div>
+  );
+}
+
+function FlagRow({ flag }) {
+  const { key, value, latest, source, variation, lastChange, history, helpers, overridden, unused, description } = flag;
+  const staged = JSON.stringify(latest) !== JSON.stringify(value);
+  const usage = unused ? 'in the flag manifest, not used by the code' : helpers.join(', ');
+  return (
+    <tr className={cx('border-b border-lineHighlight align-top', unused && 'opacity-50')}>
+      <td className="py-1 pr-2" title={description ? `${description}\n${usage}` : usage}>
+        {key}
+      </td>
+      <td className="py-1 pr-2 break-all">
+        <OverrideEditor flag={flag} />
+        {staged && <span className="opacity-50"> → {formatValue(latest)}</span>}
+        {variation && <div className="opacity-50">{variation}</div>}
+      </td>
+      <td className={cx('py-1 pr-2', source === 'default' && 'opacity-50')}>
+        {overridden ? (
+          <>
+            <span className="bg-foreground text-background px-1 rounded-sm">overridden</span>
+            <button
+              className="block underline hover:opacity-50"
+              title={`remote value: ${formatValue(flag.remote ?? flag.defaultValue)}`}
+              onClick={() => revertFlagOverride(key)}
+            >
+              revert to remote
+            </button>
+          </>
+        ) : source === 'scene' ? (
+          `scene "${flag.scene}"`
+        ) : (
+          (sourceLabels[source] ?? source)
+        )}
+      </td>
+      <td className="py-1 pr-2 opacity-50 whitespace-nowrap">
+        {lastChange ? new Date(lastChange).toLocaleTimeString() : '-'}
+      </td>
+      <td className="py-1">
+        <Sparkline values={history.map((change) => change.value)} />
+      </td>
+    </tr>
+  );
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Reads an edited value with the type of the value it replaces, so '120' stays a string for string flags
+function parseValue(text, previous) {
+  if (typeof previous === 'string') {
+    return text;
+  }
+  if (typeof previous === 'number') {
+    const number = Number(text);
+    if (text.trim() === '' || isNaN(number)) {
+      throw new Error(`"${text}" is not a number`);
+    }
+    return number;
+  }
+  if (typeof previous === 'object' && previous !== null) {
+    return JSON.parse(text);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+// Shows the value of a flag, editing it creates a local override
+function OverrideEditor({ flag }) {
+  const { key, value } = flag;
+  const [text, setText] = useState();
+  const [error, setError] = useState();
+  if (typeof value === 'boolean') {
+    return (
+      <label className="flex items-center gap-1 cursor-pointer">
+        <input type="checkbox" checked={value} onChange={(e) => setFlagOverride(key, e.target.checked)} />
+        {formatValue(value)}
+      </label>
+    );
+  }
+  const commit = () => {
+    if (text === undefined) {
+      return;
+    }
+    try {
+      const next = parseValue(text, value);
+      if (JSON.stringify(next) !== JSON.stringify(value)) {
+        setFlagOverride(key, next);
+      }
+      setText(undefined);
+      setError(undefined);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  return (
+    <input
+      className={cx('w-full bg-transparent border-0 p-0 text-sm focus:ring-0', error && 'underline decoration-wavy')}
+      style={{ fontFamily: 'inherit' }}
+      title={error ?? 'edit to override locally'}
+      value={text ?? formatValue(value)}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          commit();
+        } else if (e.key === 'Escape') {
+          setText(undefined);
+          setError(undefined);
+        }
+      }}
+    />
+  );
+}
+
+// Draws the history of a flag as a step line: numbers by value, booleans as 0/1, anything else by distinct value
+function Sparkline({ values, width = 80, height = 16 }) {
+  if (values.length < 2) {
+    return null;
+  }
+  const distinct = [];
+  const ys = values.map((value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return Number(value);
+    const serialized = JSON.stringify(value);
+    if (!distinct.includes(serialized)) distinct.push(serialized);
+    return distinct.indexOf(serialized);
+  });
+  const min = Math.min(...ys);
+  const range = Math.max(...ys) - min || 1;
+  const step = width / (ys.length - 1);
+  const y = (v) => height - 1 - ((v - min) / range) * (height - 2);
+  const points = ys.flatMap((v, i) =>
+    i
+      ? [
+          [i * step, y(ys[i - 1])],
+          [i * step, y(v)],
+        ]
+      : [[0, y(v)]],
+  );
+  return (
+    <svg width={width} height={height} className="text-foreground">
+      <polyline points={points.join(' ')} fill="none" stroke="currentColor" strokeWidth="1" />
+    </svg>
+  );
+}
@@ -1,6 +1,7 @@
 import cx from '@src/cx.mjs';
 import { setPanelPinned, setActiveFooter as setTab, setIsPanelOpened, useSettings } from '../../../settings.mjs';
 import { ConsoleTab } from './ConsoleTab';
+import { FlagsTab } from './FlagsTab';
 import { FilesTab } from './FilesTab';
 import { Reference } from './Reference';
 import { SettingsTab } from './SettingsTab';
@@ -81,6 +82,7 @@ const tabNames = {
   sounds: 'sounds',
   reference: 'reference',
   console: 'console',
+  flags: 'flags',
   settings: 'settings',
 };
 if (TAURI) {
@@ -122,6 +124,8 @@ function PanelContent({ context, tab }) {
       return <PatternsTab context={context} />;
     case tabNames.console:
       return <ConsoleTab />;
+    case tabNames.flags:
+      return <FlagsTab />;
     case tabNames.sounds:
       return <SoundsTab />;
     case tabNames.reference:
@@ -9,6 +9,9 @@ import { confirmDialog } from '../../util.mjs';
 import { DEFAULT_MAX_POLYPHONY, setMaxPolyphony, setMultiChannelOrbits } from '@strudel/webaudio';
 import { ActionButton, SpecialActionButton } from '../button/action-button.jsx';
 import { ImportPrebakeScriptButton } from './ImportPrebakeScriptButton.jsx';
+import { FlagContextEditor } from './FlagContextEditor.jsx';
+import { FlagEnvironmentEditor } from './FlagEnvironmentEditor.jsx';
+import { setFlagKillSwitch } from '../../launchdarkly.mjs';
 
 function Checkbox({ label, value, onChange, disabled = false }) {
   return (
@@ -116,7 +119,19 @@ export function SettingsTab({ started }) {
     isMultiCursorEnabled,
     patternAutoStart,
     includePrebakeScriptInShare,
+    launchDarklyBaseUrl,
+    launchDarklyContext,
+    launchDarklyEnvironment,
+    launchDarklyClientIds,
+    launchDarklyKillSwitch,
+    launchDarklyKillSwitchFade,
   } = useSettings();
+  // the kill switch applies right away, without reload
+  const updateKillSwitch = (update) => {
+    settingsMap.setKey(...update);
+    const { launchDarklyKillSwitch, launchDarklyKillSwitchFade } = settingsMap.get();
+    setFlagKillSwitch(launchDarklyKillSwitch, { fade: Number(launchDarklyKillSwitchFade) });
+  };
   const shouldAlwaysSync = isUdels();
   const canChangeAudioDevice = AudioContext.prototype.setSinkId != null;
   return (
@@ -216,6 +231,50 @@ export function SettingsTab({ started }) {
         />
       </FormItem>
 
+      <FormItem label="LaunchDarkly Base URL">
+        <Textbox
+          onBlur={(e) => {
+            const url = e.target.value.trim();
+            confirmDialog(RELOAD_MSG).then((r) => {
+              if (r == true) {
+                settingsMap.setKey('launchDarklyBaseUrl', url);
+                return window.location.reload();
+              }
+            });
+          }}
+          onChange={(url) => settingsMap.setKey('launchDarklyBaseUrl', url)}
+          placeholder="empty = app.launchdarkly.com, e.g. http://localhost:8765 for @strudel/flagserver"
+          value={launchDarklyBaseUrl ?? ''}
+        />
+      </FormItem>
+
+      <FormItem label="LaunchDarkly Environment">
+        <FlagEnvironmentEditor
+          launchDarklyEnvironment={launchDarklyEnvironment}
+          launchDarklyClientIds={launchDarklyClientIds}
+        />
+      </FormItem>
+
+      <FormItem label="LaunchDarkly Context">
+        <FlagContextEditor launchDarklyContext={launchDarklyContext} />
+      </FormItem>
+
+      <FormItem label="LaunchDarkly Kill Switch">
+        <Textbox
+          onBlur={(e) => updateKillSwitch(['launchDarklyKillSwitch', e.target.value.trim()])}
+          onChange={(key) => settingsMap.setKey('launchDarklyKillSwitch', key)}
+          placeholder="key of a boolean flag that fades out and stops everything, empty = no kill switch"
+          value={launchDarklyKillSwitch ?? ''}
+        />
+        <NumberSlider
+          value={launchDarklyKillSwitchFade}
+          onChange={(fade) => updateKillSwitch(['launchDarklyKillSwitchFade', fade])}
+          min={0}
+          max={10}
+          step={0.5}
+        />
+      </FormItem>
+
       <FormItem label="Keybindings">
         <ButtonGroup
           value={keybindings}
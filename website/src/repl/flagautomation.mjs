@@ -0,0 +1,105 @@
+// Records flag changes together with the cycle at which they became audible.
+// The result is a portable "automation lane" that can be saved as JSON and replayed with createReplayProvider:
+// {
+//   format: 'strudel-flag-automation',
+//   version: 1,
+//   recordedAt: '2026-10-19T20:00:00.000Z',
+//   start: 12, end: 76, // cycles
+//   initial: { scale: 'g:minor' }, // values at the start cycle
+//   events: [{ cycle: 16, key: 'scale', value: 'a:minor' }, { cycle: 32, key: 'cutoff', value: 800, ramp: { duration: 4, curve: 'linear' } }]
+// }
+
+import { getFlagCycle, getFlagSnapshot, onFlagTimeline, setFlagProvider } from './launchdarkly.mjs';
+import { createReplayProvider } from './flagproviders.mjs';
+
+export const FLAG_AUTOMATION_VERSION = 1;
+
+/**
+ * Creates a recorder for flag changes. Each change is stored with the cycle at which it takes effect,
+ * so quantized and ramped changes are captured exactly as the scheduler played them.
+ */
+export function createFlagRecorder() {
+  let lane;
+  let unsubscribe;
+  return {
+    get recording() {
+      return !!unsubscribe;
+    },
+    start() {
+      this.stop();
+      const start = getFlagCycle();
+      lane = {
+        format: 'strudel-flag-automation',
+        version: FLAG_AUTOMATION_VERSION,
+        recordedAt: new Date().toISOString(),
+        start,
+        initial: getFlagSnapshot(start),
+        events: [],
+      };
+      unsubscribe = onFlagTimeline((event) => lane.events.push(event));
+    },
+    // stops recording and returns the lane
+    stop() {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = undefined;
+        lane.end = Math.max(getFlagCycle(), ...lane.events.map(({ cycle }) => cycle));
+      }
+      return lane;
+    },
+  };
+}
+
+const recorder = createFlagRecorder();
+
+/**
+ * Starts recording all flag changes into an automation lane.
+ *
+ * @name startFlagRecording
+ * @example
+ * startFlagRecording()
+ */
+export const startFlagRecording = () => recorder.start();
+
+/**
+ * Stops recording flag changes and returns the automation lane.
+ * Replay it with setFlagProvider(createReplayProvider(lane)).
+ *
+ * @name stopFlagRecording
+ * @param {Object} options
+ * @param {boolean} options.download saves the lane as a JSON file
+ * @example
+ * const lane = stopFlagRecording({ download: true })
+ */
+export const stopFlagRecording = ({ download = false } = {}) => {
+  const lane = recorder.stop();
+  if (lane && download) {
+    downloadFlagAutomation(lane);
+  }
+  return lane;
+};
+
+export function downloadFlagAutomation(lane) {
+  const blob = new Blob([JSON.stringify(lane, null, 2)], { type: 'application/json' });
+  const downloadLink = document.createElement('a');
+  downloadLink.href = window.URL.createObjectURL(blob);
+  const date = lane.recordedAt.split('T')[0];
+  downloadLink.download = `strudel_flag_automation_${date}.json`;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+}
+
+/**
+ * Replays an automation lane and queries a pattern over it, for offline renders of a set.
+ * The lane replaces the current flag provider and starts at cycle 0, so the haps can be passed on
+ * like in packages/supradough/dough-export.mjs, which spawns a voice for each hap.
+ *
+ * @param {Pattern} pattern
+ * @param {Object} lane from stopFlagRecording
+ * @returns {Promise<Hap[]>} the haps from cycle 0 to the length of the lane
+ */
+export const renderFlagAutomation = async (pattern, lane) => {
+  await setFlagProvider(createReplayProvider(lane, { offset: -lane.start }));
+  return pattern.queryArc(0, lane.end - lane.start);
+};
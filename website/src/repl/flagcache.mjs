@@ -0,0 +1,77 @@
+// Keeps the last flag set received from LaunchDarkly, with the time it was received.
+// The next page load passes it as bootstrap to LDClient.initialize, so the flags play right away,
+// even when LaunchDarkly is slow or unreachable on a venue network.
+// Flags are evaluated per context, so the cache of a client ID belongs to the context it was saved for.
+
+const CACHE_PREFIX = 'strudel-flag-cache:';
+
+// Serializes a context with sorted keys, so the same context always gives the same string
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// A short hash of the context (FNV-1a), which keeps the storage key readable
+const hashFlagContext = (context) => {
+  let hash = 0x811c9dc5;
+  for (const char of stableStringify(context ?? null)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const cacheKey = (clientId, context) => `${CACHE_PREFIX}${clientId}:${hashFlagContext(context)}`;
+
+/**
+ * Reads the cached flag set of a client ID and evaluation context
+ *
+ * @param {string} clientId LaunchDarkly client-side ID
+ * @param {Object} context evaluation context the flags were evaluated for
+ * @param {Storage} storage
+ * @returns {Object|undefined} { flags, time }, or undefined if nothing valid was cached
+ */
+export function loadFlagCache(clientId, context, storage = globalThis.localStorage) {
+  try {
+    const cache = JSON.parse(storage?.getItem(cacheKey(clientId, context)) ?? 'null');
+    if (typeof cache?.flags !== 'object' || cache.flags === null || typeof cache.time !== 'number') {
+      return undefined;
+    }
+    return cache;
+  } catch (err) {
+    console.warn('[LaunchDarkly] Ignoring invalid flag cache:', err);
+    return undefined;
+  }
+}
+
+/**
+ * Caches the flag set of a client ID and evaluation context, with the current time.
+ * The caches of other contexts of the client ID are removed.
+ *
+ * @param {string} clientId LaunchDarkly client-side ID
+ * @param {Object} context evaluation context the flags were evaluated for
+ * @param {Object} flags
+ * @param {Storage} storage
+ */
+export function saveFlagCache(clientId, context, flags, storage = globalThis.localStorage) {
+  const key = cacheKey(clientId, context);
+  try {
+    // only the latest context of a client is kept, older ones would pile up in the storage
+    const stale = Array.from({ length: storage?.length ?? 0 }, (_, i) => storage.key(i)).filter(
+      (other) => other?.startsWith(`${CACHE_PREFIX}${clientId}:`) && other !== key,
+    );
+    stale.forEach((other) => storage.removeItem(other));
+    storage?.setItem(key, JSON.stringify({ flags, time: Date.now() }));
+  } catch (err) {
+    // e.g. when the storage is full or disabled
+    console.warn('[LaunchDarkly] Could not cache flags:', err);
+  }
+}
@@ -0,0 +1,84 @@
+// State of the connection to LaunchDarkly, as a nanostore for the UI:
+//   idle -> initializing -> live <-> reconnecting / offline, and failed when the connection can't be (re)established.
+// Stream drops are retried with an exponential backoff, which can be configured with setFlagReconnectPolicy.
+
+import { atom } from 'nanostores';
+import { logger } from '@strudel/core';
+
+const transitions = {
+  idle: ['initializing'],
+  initializing: ['live', 'reconnecting', 'offline', 'failed'],
+  live: ['reconnecting', 'offline'],
+  reconnecting: ['live', 'reconnecting', 'offline', 'failed'],
+  offline: ['live', 'reconnecting', 'failed'],
+  failed: ['reconnecting'],
+};
+
+const messages = {
+  idle: 'disconnected',
+  initializing: 'connecting...',
+  live: 'live',
+  reconnecting: 'connection lost, reconnecting...',
+  offline: 'offline, playing the last received flags',
+  failed: 'connection failed',
+};
+
+// { state, since, error, attempt, retryAt }
+export const $flagConnection = atom({ state: 'idle', since: Date.now() });
+
+/**
+ * Moves the connection to another state, and logs the change.
+ * Any state can go back to initializing (a new client) or idle (no client), other transitions follow the table above.
+ *
+ * @param {string} state idle, initializing, live, reconnecting, offline or failed
+ * @param {Object} details optional { error, attempt, retryAt }
+ */
+export function setFlagConnection(state, details = {}) {
+  const current = $flagConnection.get();
+  if (!['initializing', 'idle'].includes(state) && !transitions[current.state].includes(state)) {
+    console.warn(`[LaunchDarkly] Ignoring connection change from ${current.state} to ${state}`);
+    return;
+  }
+  const changed = state !== current.state;
+  $flagConnection.set({ ...details, state, since: changed ? Date.now() : current.since });
+  if (changed) {
+    const error = details.error ? ` (${details.error.message ?? details.error})` : '';
+    logger(`[LaunchDarkly] ${messages[state]}${error}`, state === 'failed' ? 'error' : undefined);
+  }
+}
+
+export const defaultReconnectPolicy = { initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.2, maxAttempts: 20 };
+
+let reconnectPolicy = defaultReconnectPolicy;
+
+/**
+ * Configures how a lost connection is retried: the n-th attempt waits initialDelay * factor^(n-1) ms,
+ * at most maxDelay ms, randomly shortened by up to jitter (0-1) so many clients don't retry at once.
+ * After maxAttempts failed attempts, the connection is failed.
+ *
+ * @name setFlagReconnectPolicy
+ * @param {Object} policy { initialDelay, maxDelay, factor, jitter, maxAttempts }
+ * @example
+ * setFlagReconnectPolicy({ initialDelay: 500, maxDelay: 5000, maxAttempts: Infinity })
+ */
+export function setFlagReconnectPolicy(policy = {}) {
+  reconnectPolicy = { ...defaultReconnectPolicy, ...policy };
+}
+
+export const getFlagReconnectPolicy = () => reconnectPolicy;
+
+/**
+ * Returns how long to wait before the given reconnect attempt, or undefined if there are no attempts left
+ *
+ * @param {number} attempt starting at 1
+ * @param {Object} policy
+ * @returns {number|undefined} delay in ms
+ */
+export function getReconnectDelay(attempt, policy = reconnectPolicy) {
+  const { initialDelay, maxDelay, factor, jitter, maxAttempts } = policy;
+  if (attempt > maxAttempts) {
+    return undefined;
+  }
+  const delay = Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+  return delay * (1 - Math.random() * jitter);
+}
@@ -0,0 +1,110 @@
+// Helpers for LaunchDarkly evaluation contexts.
+// A single context looks like { kind: 'user', key: 'felix', role: 'performer' },
+// a multi-context combines several kinds: { kind: 'multi', user: { key: 'felix' }, venue: { key: 'berghain' } }
+
+export const defaultFlagContext = () => ({
+  kind: 'user',
+  key: 'strudel-user-' + Math.floor(Math.random() * 10000),
+  anonymous: true,
+  role: 'controller',
+});
+
+/**
+ * Converts the legacy user shape ({ key, anonymous, custom: {} }) into a context of kind 'user'.
+ * Contexts that already have a kind are returned as they are.
+ *
+ * @param {Object} context
+ * @returns {Object}
+ */
+export function normalizeFlagContext(context) {
+  if (!context || context.kind) {
+    return context;
+  }
+  const { custom = {}, ...attributes } = context;
+  return { kind: 'user', ...attributes, ...custom };
+}
+
+/**
+ * Splits a (multi-)context into a list of single contexts, each with its kind
+ *
+ * @param {Object} context
+ * @returns {Object[]} list of { kind, key, ...attributes }
+ */
+export function splitFlagContext(context) {
+  context = normalizeFlagContext(context);
+  if (!context) {
+    return [];
+  }
+  if (context.kind !== 'multi') {
+    return [context];
+  }
+  const { kind: _, ...kinds } = context;
+  return Object.entries(kinds).map(([kind, single]) => ({ kind, ...single }));
+}
+
+/**
+ * Combines single contexts into one context, which is a multi-context if there is more than one kind.
+ * Throws if a context is invalid, as LaunchDarkly would refuse it.
+ *
+ * @param {Object[]} contexts list of { kind, key, ...attributes }
+ * @returns {Object}
+ */
+export function combineFlagContexts(contexts) {
+  const kinds = new Set();
+  contexts.forEach(({ kind, key }) => {
+    if (!kind || !/^[\w.-]+$/.test(kind) || ['kind', 'multi'].includes(kind)) {
+      throw new Error(`invalid context kind "${kind ?? ''}"`);
+    }
+    if (!key) {
+      throw new Error(`context "${kind}" needs a key`);
+    }
+    if (kinds.has(kind)) {
+      throw new Error(`context kind "${kind}" is used twice`);
+    }
+    kinds.add(kind);
+  });
+  if (!contexts.length) {
+    throw new Error('at least one context is needed');
+  }
+  if (contexts.length === 1) {
+    return { ...contexts[0] };
+  }
+  return {
+    kind: 'multi',
+    ...Object.fromEntries(contexts.map(({ kind, ...single }) => [kind, single])),
+  };
+}
+
+/**
+ * Reads the context persisted in the settings, falling back to an anonymous user
+ *
+ * @param {string} json serialized context
+ * @returns {Object}
+ */
+export function parseFlagContext(json) {
+  if (!json) {
+    return defaultFlagContext();
+  }
+  try {
+    return normalizeFlagContext(JSON.parse(json));
+  } catch (err) {
+    console.warn('[LaunchDarkly] Ignoring invalid context in settings:', err);
+    return defaultFlagContext();
+  }
+}
+
+/**
+ * Like parseFlagContext, but a generated anonymous user is saved, so the next page load uses the same context
+ * and finds the flags it cached (see flagcache.mjs)
+ *
+ * @param {string} json serialized context
+ * @param {Function} save called with the serialized context when it was generated
+ * @returns {Object}
+ */
+export function loadFlagContext(json, save) {
+  const context = parseFlagContext(json);
+  if (!json) {
+    save(JSON.stringify(context));
+  }
+  return context;
+}
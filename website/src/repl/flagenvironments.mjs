@@ -0,0 +1,41 @@
+// Environments of the LaunchDarkly project, as defined in terraform/main.tf.
+// Each environment has its own client-side ID, see the client_side_ids output of terraform.
+
+export const flagEnvironments = {
+  production: 'Production',
+  staging: 'Staging',
+  development: 'Development',
+};
+
+/**
+ * Reads the client-side IDs entered in the settings
+ *
+ * @param {string} json serialized { environment key: client-side ID }
+ * @returns {Object}
+ */
+export function parseFlagClientIds(json) {
+  try {
+    const ids = JSON.parse(json || '{}');
+    return typeof ids === 'object' && ids !== null ? ids : {};
+  } catch (err) {
+    console.warn('[LaunchDarkly] Ignoring invalid client IDs in settings:', err);
+    return {};
+  }
+}
+
+/**
+ * Picks the client-side ID to connect with: the one of the selected environment,
+ * or the one the site was built with if no environment is selected.
+ * A local flag server (launchDarklyBaseUrl) answers for any client ID.
+ *
+ * @param {Object} settings { launchDarklyEnvironment, launchDarklyClientIds, launchDarklyBaseUrl }
+ * @param {string} buildClientId PUBLIC_LAUNCHDARKLY_CLIENT_ID of the build
+ * @returns {string|undefined}
+ */
+export function getFlagClientId(settings, buildClientId) {
+  const { launchDarklyEnvironment, launchDarklyClientIds, launchDarklyBaseUrl } = settings;
+  const clientId = launchDarklyEnvironment
+    ? parseFlagClientIds(launchDarklyClientIds)[launchDarklyEnvironment]
+    : buildClientId;
+  return clientId || (launchDarklyBaseUrl ? 'local' : undefined);
+}
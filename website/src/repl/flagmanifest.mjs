@@ -0,0 +1,185 @@
+// A flags.json manifest describes a flag set without terraform, so it can be shared with a tune:
+// { "flags": [{ "key": "scale", "type": "string", "default": "<g:minor>",
+//   "variations": [{ "value": "<g:minor>", "name": "G Minor" }], "quantize": 4, "ramp": { "duration": 2 } }] }
+// type is boolean, number, string or json. quantize and ramp are hints for setFlagQuantize and setFlagRamp.
+// The same file can be served by @strudel/flagserver, and converted from and to the flag export of LaunchDarkly.
+
+const flagTypes = ['boolean', 'number', 'string', 'json'];
+
+// custom properties of LaunchDarkly flags that keep the hints LaunchDarkly has no field for
+const QUANTIZE_PROPERTY = 'strudel-quantize';
+const RAMP_PROPERTY = 'strudel-ramp';
+
+const inferType = (value) => (['boolean', 'number', 'string'].includes(typeof value) ? typeof value : 'json');
+
+const matchesType = (value, type) => type === 'json' || typeof value === type;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Checks and normalizes a manifest: variations become { value, name }, missing types are inferred,
+ * and a missing default is the first variation
+ *
+ * @param {Object} json manifest
+ * @returns {Object} { flags: [{ key, type, default, variations, ... }] }
+ */
+export function parseFlagManifest(json) {
+  if (!Array.isArray(json?.flags)) {
+    throw new Error('flag manifest: expected { "flags": [...] }');
+  }
+  const keys = new Set();
+  const flags = json.flags.map((entry, i) => {
+    if (typeof entry?.key !== 'string' || !entry.key) {
+      throw new Error(`flag manifest: flag ${i} has no key`);
+    }
+    const { key } = entry;
+    if (keys.has(key)) {
+      throw new Error(`flag manifest: flag "${key}" is defined twice`);
+    }
+    keys.add(key);
+    const variations = (entry.variations ?? []).map((variation) =>
+      typeof variation === 'object' && variation !== null && 'value' in variation ? variation : { value: variation },
+    );
+    const defaultValue = 'default' in entry ? entry.default : variations[0]?.value;
+    const type = entry.type ?? inferType(defaultValue);
+    if (!flagTypes.includes(type)) {
+      throw new Error(`flag manifest: type of "${key}" should be one of ${flagTypes.join(', ')}, got ${type}`);
+    }
+    [defaultValue, ...variations.map(({ value }) => value)]
+      .filter((value) => value !== undefined && !matchesType(value, type))
+      .forEach((value) => {
+        throw new Error(`flag manifest: ${JSON.stringify(value)} is no ${type} value of "${key}"`);
+      });
+    return { ...entry, key, type, default: defaultValue, variations };
+  });
+  return { ...json, flags };
+}
+
+/**
+ * Returns the schema (see flagschema.mjs) remote values of a manifest flag are checked with
+ *
+ * @param {Object} entry flag of a parsed manifest
+ * @returns {Object} schema
+ */
+export const getManifestSchema = ({ type }) => (type === 'json' ? { type: 'any' } : { type });
+
+/**
+ * Converts a manifest to the flag representation of the LaunchDarkly REST API ({ items: [flag] }),
+ * as returned by GET /api/v2/flags/{projectKey}. Quantize and ramp hints are kept as custom properties.
+ *
+ * @param {Object} manifest parsed manifest
+ * @returns {Object} { items }
+ */
+export function toLaunchDarklyExport(manifest) {
+  const items = manifest.flags.map(({ key, name, description, type, variations, default: defaultValue, ...hints }) => {
+    variations = type === 'boolean' && !variations.length ? [{ value: true }, { value: false }] : [...variations];
+    let onVariation = variations.findIndex(({ value }) => sameValue(value, defaultValue));
+    if (onVariation === -1 && defaultValue !== undefined) {
+      variations.push({ value: defaultValue, name: 'Default' });
+      onVariation = variations.length - 1;
+    }
+    const customProperties = {};
+    if (hints.quantize !== undefined) {
+      customProperties[QUANTIZE_PROPERTY] = { name: 'Strudel quantize', value: [JSON.stringify(hints.quantize)] };
+    }
+    if (hints.ramp !== undefined) {
+      customProperties[RAMP_PROPERTY] = { name: 'Strudel ramp', value: [JSON.stringify(hints.ramp)] };
+    }
+    return {
+      key,
+      name: name ?? key,
+      description: description ?? '',
+      kind: type === 'boolean' ? 'boolean' : 'multivariate',
+      variations,
+      defaults: {
+        onVariation: Math.max(onVariation, 0),
+        offVariation: variations.length > 1 && onVariation === 0 ? 1 : 0,
+      },
+      clientSideAvailability: { usingEnvironmentId: true, usingMobileKey: true },
+      customProperties,
+      tags: ['strudel'],
+    };
+  });
+  return { items };
+}
+
+const readProperty = (flag, property) => {
+  const [value] = flag.customProperties?.[property]?.value ?? [];
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Converts the flag representation of the LaunchDarkly REST API (an array of flags or { items }) to a manifest.
+ * The default of a flag is the variation served when it is on.
+ *
+ * @param {Object|Object[]} exported
+ * @returns {Object} parsed manifest
+ */
+export function fromLaunchDarklyExport(exported) {
+  const items = Array.isArray(exported) ? exported : exported?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('flag export: expected a list of flags or { "items": [...] }');
+  }
+  const flags = items.map((flag) => {
+    const variations = (flag.variations ?? []).map(({ value, name, description }) =>
+      Object.fromEntries(Object.entries({ value, name, description }).filter(([, field]) => field !== undefined)),
+    );
+    const defaultValue = variations[flag.defaults?.onVariation ?? 0]?.value;
+    const entry = {
+      key: flag.key,
+      // the export names every flag, by its key if there was no name
+      name: flag.name !== flag.key ? flag.name : undefined,
+      description: flag.description || undefined,
+      type: flag.kind === 'boolean' ? 'boolean' : inferType(defaultValue),
+      default: defaultValue,
+      variations,
+      quantize: readProperty(flag, QUANTIZE_PROPERTY),
+      ramp: readProperty(flag, RAMP_PROPERTY),
+    };
+    return Object.fromEntries(Object.entries(entry).filter(([, field]) => field !== undefined));
+  });
+  return parseFlagManifest({ flags });
+}
+
+/**
+ * Loads a manifest, or a LaunchDarkly flag export, from a url
+ *
+ * @param {string} url
+ * @returns {Promise<Object|undefined>} parsed manifest, undefined if there is no file at the url
+ */
+export async function fetchFlagManifest(url) {
+  const res = await fetch(url);
+  if (res.status === 404) {
+    return undefined;
+  }
+  if (!res.ok) {
+    throw new Error(`flag manifest: could not load ${url} (${res.status})`);
+  }
+  const json = await res.json();
+  return json.flags ? parseFlagManifest(json) : fromLaunchDarklyExport(json);
+}
+
+/**
+ * Downloads a manifest as flags.json, or converted to the flag export of LaunchDarkly
+ *
+ * @param {Object} manifest parsed manifest
+ * @param {Object} options
+ * @param {boolean} options.launchDarkly download the LaunchDarkly export instead
+ */
+export function downloadFlagManifest(manifest, { launchDarkly = false } = {}) {
+  const json = launchDarkly ? toLaunchDarklyExport(manifest) : manifest;
+  const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+  const downloadLink = document.createElement('a');
+  downloadLink.href = window.URL.createObjectURL(blob);
+  downloadLink.download = launchDarkly ? 'launchdarkly_flags.json' : 'flags.json';
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+}
@@ -0,0 +1,256 @@
+// Flag providers feed flag values into launchdarkly.mjs.
+// Every provider implements the same interface:
+//   - init(): Promise<Object> - connects and resolves with the initial flag set
+//   - getAll(): Object - returns the current flag set
+//   - subscribe(listener): Function - calls listener({ [key]: value }) on changes, returns an unsubscribe function
+//   - close(): Promise<void> - disconnects and drops all listeners
+// Optionally, a provider can plan changes at exact cycles:
+//   - getTimeline(): Object[] - returns [{ cycle, key, value, ramp }], applied once after init
+// Providers that evaluate flags per context can implement:
+//   - identify(context): Promise<Object> - switches the evaluation context and resolves with the new flag set
+// Providers that can serve cached flags tell whether they are live:
+//   - getFreshness(): Object - returns { live, updated }, updated being the time the flags were received
+// Providers with a connection report its state:
+//   - onStatus(listener): Function - calls listener(state, { error, attempt, retryAt }), returns an unsubscribe function
+
+import { getReconnectDelay } from './flagconnection.mjs';
+
+/**
+ * Creates a provider backed by the LaunchDarkly browser SDK.
+ * The SDK is only loaded when the provider is initialized, so the other providers work without it.
+ * With a cached flag set (see flagcache.mjs), init resolves with the cached flags right away,
+ * and the live flags are fetched in the background.
+ * When the connection is lost, the live flags are fetched again with the backoff of flagconnection.mjs.
+ *
+ * @param {string} clientId LaunchDarkly client-side ID
+ * @param {Object} context evaluation context passed to LDClient.initialize
+ * @param {Object} options LDClient options
+ * @param {Object} cache optional { flags, time }, passed as bootstrap
+ */
+export function createLaunchDarklyProvider(clientId, context, options = {}, cache) {
+  let client;
+  let freshness = { live: false, updated: cache?.time };
+  let attempt = 0;
+  let retry;
+  const listeners = new Set();
+  const statusListeners = new Set();
+  const emit = (changes) => listeners.forEach((listener) => listener(changes));
+  const setStatus = (state, details) => statusListeners.forEach((listener) => listener(state, details));
+  const onChange = (settings) => {
+    const changes = {};
+    Object.keys(settings).forEach((key) => {
+      changes[key] = settings[key].current;
+    });
+    if (freshness.live) {
+      freshness = { live: true, updated: Date.now() };
+    }
+    emit(changes);
+  };
+  const goLive = () => {
+    if (!client) {
+      return; // closed in the meantime
+    }
+    attempt = 0;
+    freshness = { live: true, updated: Date.now() };
+    setStatus('live');
+    // unchanged flags are skipped by launchdarkly.mjs, so the whole set can be sent
+    emit(client.allFlags());
+  };
+  // fetches the live flags again after the backoff delay, until it works or no attempts are left
+  const reconnect = (error) => {
+    if (!client || retry) {
+      return;
+    }
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    attempt += 1;
+    const delay = getReconnectDelay(attempt);
+    if (delay === undefined) {
+      setStatus('failed', { error, attempt });
+      return;
+    }
+    freshness = { ...freshness, live: false };
+    setStatus(offline ? 'offline' : 'reconnecting', { error, attempt, retryAt: Date.now() + delay });
+    retry = setTimeout(() => {
+      retry = undefined;
+      client
+        ?.identify(context)
+        .then(goLive)
+        .catch((err) => reconnect(err));
+    }, delay);
+  };
+  const onError = (error) => reconnect(error);
+  const onOffline = () => reconnect(new Error('the browser went offline'));
+  const onOnline = () => {
+    // retry right away
+    clearTimeout(retry);
+    retry = undefined;
+    attempt = 0;
+    client
+      ?.identify(context)
+      .then(goLive)
+      .catch((err) => reconnect(err));
+  };
+  return {
+    name: 'launchdarkly',
+    async init() {
+      const LDClient = await import('launchdarkly-js-client-sdk');
+      client = LDClient.initialize(clientId, context, cache ? { ...options, bootstrap: cache.flags } : options);
+      const ready = new Promise((resolve, reject) => {
+        client.on('ready', resolve);
+        client.on('failed', reject);
+      });
+      client.on('change', onChange);
+      client.on('error', onError);
+      if (typeof window !== 'undefined') {
+        window.addEventListener('offline', onOffline);
+        window.addEventListener('online', onOnline);
+      }
+      if (!cache) {
+        await ready;
+        goLive();
+        return client.allFlags();
+      }
+      // bootstrapped clients are ready right away, identify fetches the live flags
+      ready
+        .then(() => client.identify(context))
+        .then(goLive)
+        .catch((err) => {
+          console.warn('[LaunchDarkly] Could not fetch live flags, playing cached flags:', err);
+          reconnect(err);
+        });
+      return { ...cache.flags };
+    },
+    getFreshness() {
+      return { ...freshness };
+    },
+    // listens to the connection state: live, reconnecting, offline or failed
+    onStatus(listener) {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+    getAll() {
+      return client?.allFlags() ?? {};
+    },
+    async identify(nextContext) {
+      context = nextContext;
+      await client.identify(context);
+      return client.allFlags();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    async close() {
+      listeners.clear();
+      statusListeners.clear();
+      clearTimeout(retry);
+      retry = undefined;
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('offline', onOffline);
+        window.removeEventListener('online', onOnline);
+      }
+      if (client) {
+        client.off('change', onChange);
+        client.off('error', onError);
+        await client.close();
+        client = undefined;
+      }
+    },
+  };
+}
+
+/**
+ * Creates a provider that serves a fixed flag set.
+ * Handy for offline rehearsals, where the flags of a set can be kept in a JSON file.
+ *
+ * @param {Object|string} source flag set, or url of a JSON file containing the flag set
+ */
+export function createStaticProvider(source = {}) {
+  let flags = {};
+  return {
+    name: 'static',
+    async init() {
+      if (typeof source === 'string') {
+        const res = await fetch(source);
+        if (!res.ok) {
+          throw new Error(`could not load flags from "${source}": ${res.status}`);
+        }
+        source = await res.json();
+      }
+      flags = { ...source };
+      return { ...flags };
+    },
+    getAll() {
+      return { ...flags };
+    },
+    subscribe() {
+      return () => {};
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Creates a provider that keeps flags in memory and can be changed with set / setAll.
+ * Used in tests and for driving flags from code.
+ *
+ * @param {Object} initial initial flag set
+ */
+export function createMemoryProvider(initial = {}) {
+  const flags = { ...initial };
+  const listeners = new Set();
+  const emit = (changes) => listeners.forEach((listener) => listener(changes));
+  return {
+    name: 'memory',
+    async init() {
+      return { ...flags };
+    },
+    getAll() {
+      return { ...flags };
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    async close() {
+      listeners.clear();
+    },
+    set(key, value) {
+      this.setAll({ [key]: value });
+    },
+    setAll(changes) {
+      Object.assign(flags, changes);
+      emit({ ...changes });
+    },
+  };
+}
+
+/**
+ * Creates a provider that replays a recorded automation lane (see flagautomation.mjs).
+ * The recorded changes are planned at the exact cycles they took effect, so every render of the pattern is identical.
+ *
+ * @param {Object} lane automation lane as returned by stopFlagRecording
+ * @param {Object} options
+ * @param {number} options.offset cycles to shift the lane by, use -lane.start to replay from cycle 0
+ */
+export function createReplayProvider(lane, { offset = 0 } = {}) {
+  if (lane?.format !== 'strudel-flag-automation') {
+    throw new Error('not a flag automation lane');
+  }
+  return {
+    name: 'replay',
+    async init() {
+      return { ...lane.initial };
+    },
+    getAll() {
+      return { ...lane.initial };
+    },
+    getTimeline() {
+      return lane.events.map((event) => ({ ...event, cycle: event.cycle + offset }));
+    },
+    subscribe() {
+      return () => {};
+    },
+    async close() {},
+  };
+}
@@ -0,0 +1,85 @@
+// Schemas for flag values, so bad payloads are reported instead of silently spreading into haps.
+// A schema is { type: 'number' | 'string' | 'boolean' | 'object' | 'array' | 'any' } with optional:
+//   - min / max for numbers
+//   - items for arrays
+//   - fields for objects, and controls: true to accept other control names of @strudel/core
+//     (objects without fields and controls accept any field)
+//   - oneOf: [schema, ...] to accept any of several schemas
+
+import { isControlName } from '@strudel/core';
+
+// Types and ranges of common controls, as documented in packages/core/controls.mjs
+// (test/launchdarkly.test.mjs compares them with the generated doc.json)
+export const controlSchemas = {
+  s: { type: 'string' },
+  bank: { type: 'string' },
+  vowel: { type: 'string' },
+  n: { type: 'number' },
+  note: { oneOf: [{ type: 'number' }, { type: 'string' }] },
+  gain: { type: 'number', min: 0 },
+  postgain: { type: 'number', min: 0 },
+  velocity: { type: 'number', min: 0, max: 1 },
+  attack: { type: 'number', min: 0 },
+  decay: { type: 'number', min: 0 },
+  sustain: { type: 'number', min: 0, max: 1 },
+  release: { type: 'number', min: 0 },
+  lpf: { type: 'number', min: 0, max: 20000 },
+  hpf: { type: 'number', min: 0, max: 20000 },
+  lpq: { type: 'number', min: 0, max: 50 },
+  hpq: { type: 'number', min: 0, max: 50 },
+  delay: { type: 'number', min: 0, max: 1 },
+  delayfeedback: { type: 'number', min: 0, max: 1 },
+  room: { type: 'number', min: 0, max: 1 },
+  pan: { type: 'number', min: 0, max: 1 },
+  shape: { type: 'number', min: 0, max: 1 },
+  crush: { type: 'number', min: 1, max: 16 },
+  coarse: { type: 'number', min: 1 },
+  speed: { type: 'number' },
+  orbit: { type: 'number', min: 0 },
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/**
+ * Checks a flag value against a schema
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path name of the value in messages
+ * @returns {string[]} problems, empty if the value is valid
+ */
+export function validateFlagValue(value, schema, path = 'value') {
+  if (!schema || schema.type === 'any') {
+    return [];
+  }
+  if (schema.oneOf) {
+    const results = schema.oneOf.map((option) => validateFlagValue(value, option, path));
+    return results.some((problems) => !problems.length) ? [] : results.flat();
+  }
+  const type = typeOf(value);
+  if (type !== schema.type) {
+    return [`${path} should be a ${schema.type}, got ${type} ${JSON.stringify(value)}`];
+  }
+  if (type === 'number') {
+    if (
+      isNaN(value) ||
+      (schema.min !== undefined && value < schema.min) ||
+      (schema.max !== undefined && value > schema.max)
+    ) {
+      return [`${path} should be between ${schema.min ?? '-Infinity'} and ${schema.max ?? 'Infinity'}, got ${value}`];
+    }
+  }
+  if (type === 'array' && schema.items) {
+    return value.flatMap((item, i) => validateFlagValue(item, schema.items, `${path}[${i}]`));
+  }
+  if (type === 'object' && (schema.fields || schema.controls)) {
+    return Object.entries(value).flatMap(([field, fieldValue]) => {
+      const fieldSchema = schema.fields?.[field] ?? (schema.controls ? controlSchemas[field] : undefined);
+      if (!fieldSchema && !(schema.controls && isControlName(field))) {
+        return [`unknown control "${field}"`];
+      }
+      return validateFlagValue(fieldValue, fieldSchema, field);
+    });
+  }
+  return [];
+}
@@ -1,70 +1,1093 @@
-
-import * as LDClient from 'launchdarkly-js-client-sdk';
-import { Pattern, stack, pure } from '@strudel/core';
+import {
+  Pattern,
+  stack,
+  seq,
+  pure,
+  reify,
+  silence,
+  rand,
+  signal,
+  Fraction,
+  TimeSpan,
+  errorLogger,
+  logger,
+} from '@strudel/core';
 import { mini } from '@strudel/mini';
+import { createLaunchDarklyProvider } from './flagproviders.mjs';
+import { loadFlagCache, saveFlagCache } from './flagcache.mjs';
+import { setFlagConnection } from './flagconnection.mjs';
+import { defaultFlagContext, normalizeFlagContext } from './flagcontext.mjs';
+import { controlSchemas, validateFlagValue } from './flagschema.mjs';
+import { fetchFlagManifest, fromLaunchDarklyExport, getManifestSchema, parseFlagManifest } from './flagmanifest.mjs';
 
-let ldClient;
-const flags = {};
+let provider;
+let context; // evaluation context of the provider
+let unsubscribeProvider;
+let unsubscribeStatus;
+let scheduler;
+let playback; // { stop, start } of the repl, see setFlagScheduler
+let globalQuantum;
+const flags = {}; // latest values received from the provider
+const overrides = {}; // local values that win over the provider
+const timelines = {}; // flag key -> [{ cycle, value }], the values pattern queries see from the given cycle on
+const quanta = {}; // flag key -> quantum
+const ramps = {}; // flag key -> { duration, unit, curve }
+const changeListeners = new Set();
+const overrideListeners = new Set();
+const timelineListeners = new Set();
+const pendingNotifications = new Set();
+const references = new Map(); // flag key -> { defaultValue, helpers }, the flags used by the evaluated code
+const histories = {}; // flag key -> [{ time, cycle, value }]
+const variationNames = {}; // flag key -> [{ value, name }]
+const manifestFlags = {}; // flag key -> flag of the loaded manifest (see flagmanifest.mjs)
+const lastValid = {}; // flag key -> last value that matched the schema of its helper
+const recentChanges = {}; // flag key -> [{ cycle, value, previous }], changes errors can still be attributed to
+const rollbacks = {}; // flag key -> bad value that was rolled back
+const scenes = {}; // scene name -> { flag key: value }, scenes defined in code
+const sceneValues = {}; // flag key -> value set by the active scene
+let sceneKey; // key of the flag that selects the scene
+let activeScene = { values: {} }; // { name, values } of the selected scene
+let initializing = false;
+let providerError;
 
-// Default user context - custom attributes must be in the 'custom' object for targeting
-const defaultUserContext = {
-  key: 'strudel-user-' + Math.floor(Math.random() * 10000),
-  anonymous: true,
-  custom: {
-    role: 'controller',
-  },
+// Cycles to keep in the timelines behind the current cycle, so visuals looking back stay consistent
+const TIMELINE_HISTORY = 8;
+// Changes to keep per flag for the flags tab
+const CHANGE_HISTORY = 32;
+// Cycles after a change in which query and trigger errors are blamed on it
+const ROLLBACK_WINDOW = 4;
+
+// The cycle up to which the scheduler has already queried, as changes can't land before that
+const currentCycle = () => {
+  if (!scheduler?.started) {
+    return 0;
+  }
+  return Math.max(scheduler.now(), scheduler.lastEnd ?? 0);
 };
 
-export const initLaunchDarkly = async (clientId, userContext = defaultUserContext) => {
-  if (ldClient) {
-    return;
+// Converts a quantum to its length in cycles. Accepts a number of cycles, { cycles }, or { meter: '3/4', bars }
+// where the meter is relative to a cycle of 4/4
+const quantumLength = (quantum) => {
+  if (typeof quantum === 'number') {
+    return quantum;
+  }
+  if (quantum?.meter) {
+    const [beats, unit] = String(quantum.meter).split('/').map(Number);
+    return (beats / unit) * (quantum.bars ?? 1);
   }
+  return quantum?.cycles ?? 0;
+};
+
+// Returns the cycle from which a change of the given flag becomes visible, or undefined if it applies right away
+const nextBoundary = (key, cycle) => {
+  const length = quantumLength(quanta[key] !== undefined ? quanta[key] : globalQuantum);
+  if (!(length > 0) || !scheduler?.started) {
+    return undefined;
+  }
+  return Fraction(length)
+    .mul(Math.ceil(cycle / length))
+    .valueOf();
+};
+
+const notifyListeners = (changes) => {
+  if (Object.keys(changes).length) {
+    changeListeners.forEach((listener) => listener(changes));
+  }
+};
+
+// Notifies listeners once the scheduler reaches the boundary of staged changes, after calling apply
+const notifyAt = (boundary, changes, apply) => {
+  const seconds = (boundary - currentCycle()) / (scheduler?.cps || 1);
+  const timeout = setTimeout(
+    () => {
+      pendingNotifications.delete(timeout);
+      apply?.();
+      notifyListeners(changes);
+    },
+    Math.max(0, seconds * 1000),
+  );
+  pendingNotifications.add(timeout);
+};
 
-  ldClient = LDClient.initialize(clientId, userContext);
+const pruneTimeline = (key, cycle) => {
+  const timeline = timelines[key];
+  while (timeline.length > 1 && timeline[1].cycle <= cycle - TIMELINE_HISTORY) {
+    timeline.shift();
+  }
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Interpolates numbers and the numeric fields of JSON objects, other values switch at the end
+const interpolate = (from, to, progress, curve) => {
+  if (typeof from === 'number' && typeof to === 'number') {
+    if (curve === 'exponential' && from > 0 && to > 0) {
+      return from * Math.pow(to / from, progress);
+    }
+    return from + (to - from) * progress;
+  }
+  if (isPlainObject(from) && isPlainObject(to)) {
+    return Object.fromEntries(
+      Object.entries(to).map(([field, value]) => [field, interpolate(from[field], value, progress, curve)]),
+    );
+  }
+  return progress < 1 ? from : to;
+};
+
+const canInterpolate = (from, to) =>
+  (typeof from === 'number' && typeof to === 'number') || (isPlainObject(from) && isPlainObject(to));
+
+// Returns the ramp of a flag with its duration in cycles, if the flag has one and the scheduler is running
+const getRamp = (key) => {
+  const ramp = ramps[key];
+  if (!ramp || !scheduler?.started) {
+    return undefined;
+  }
+  const duration = ramp.unit === 'seconds' ? ramp.duration * scheduler.cps : ramp.duration;
+  return { duration, curve: ramp.curve };
+};
+
+// Tells timeline listeners at which cycle a change takes effect
+const notifyTimeline = (key, cycle, value, ramp) => {
+  histories[key] = (histories[key] ?? []).concat([{ time: Date.now(), cycle, value }]).slice(-CHANGE_HISTORY);
+  const event = ramp ? { cycle, key, value, ramp } : { cycle, key, value };
+  timelineListeners.forEach((listener) => listener(event));
+};
 
-  return new Promise((resolve, reject) => {
-    ldClient.on('ready', () => {
-      Object.assign(flags, ldClient.allFlags());
-      resolve();
+// Writes a change into the timeline of a flag, dropping everything that was planned from the given cycle on
+const writeTimeline = (key, cycle, value, ramp) => {
+  const from = getFlagAt(key, cycle);
+  timelines[key] = (timelines[key] ?? []).filter((entry) => entry.cycle < cycle);
+  timelines[key].push(ramp && canInterpolate(from, value) ? { cycle, value, from, ramp } : { cycle, value });
+};
+
+// Remembers the value before a change, so the change can be rolled back if it breaks the pattern
+const recordChange = (key, cycle, value, previous) => {
+  const current = currentCycle();
+  recentChanges[key] = (recentChanges[key] ?? [])
+    .filter((change) => change.cycle > current - ROLLBACK_WINDOW)
+    .concat([{ cycle, value, previous }]);
+};
+
+// Applies changes at the boundary of each flag, or all at the boundary of boundaryKey
+const applyFlagChanges = (changes, immediate = false, boundaryKey) => {
+  const cycle = currentCycle();
+  const now = {};
+  const staged = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    const boundary = immediate ? undefined : nextBoundary(boundaryKey ?? key, cycle);
+    const ramp = immediate ? undefined : getRamp(key);
+    const begin = boundary ?? cycle;
+    const previous = getFlagAt(key, begin);
+    if (!immediate) {
+      recordChange(key, begin, value, previous);
+    }
+    if (boundary === undefined && !ramp) {
+      // queries of any cycle see the new value, since and previous are kept for transitions (see flagSwitch)
+      timelines[key] = [{ cycle: -Infinity, value, since: cycle, previous }];
+      now[key] = value;
+      notifyTimeline(key, cycle, value);
+      return;
+    }
+    writeTimeline(key, begin, value, ramp);
+    pruneTimeline(key, cycle);
+    notifyTimeline(key, begin, value, ramp);
+    if (boundary === undefined) {
+      now[key] = value;
+    } else {
+      staged[boundary] = { ...staged[boundary], [key]: value };
+    }
+  });
+  notifyListeners(now);
+  Object.entries(staged).forEach(([boundary, changes]) => notifyAt(Number(boundary), changes));
+};
+
+// The value of a flag without local overrides: set by the active scene, or received from the provider
+const remoteValue = (key) => (key in sceneValues ? sceneValues[key] : flags[key]);
+
+const withoutOverrides = (changes) =>
+  Object.fromEntries(Object.entries(changes).filter(([key]) => !(key in overrides)));
+
+// Reads the scene selected by a value of the scene flag, either the name of a scene or
+// { "scene": name, "scenes": { name: { flag key: value } } } with scenes that add to the ones defined in code.
+// Returns { name, values }, or undefined for bad values, so the active scene keeps playing
+const resolveScene = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { values: {} };
+  }
+  const selection = typeof value === 'string' ? { scene: value } : value;
+  if (
+    !isPlainObject(selection) ||
+    typeof selection.scene !== 'string' ||
+    (selection.scenes !== undefined && !isPlainObject(selection.scenes))
+  ) {
+    reportFlag(sceneKey, value, 'expected a scene name or { "scene": name, "scenes": { name: { flag: value } } }');
+    return undefined;
+  }
+  const scene = { ...scenes, ...selection.scenes }[selection.scene];
+  if (!isPlainObject(scene)) {
+    reportFlag(sceneKey, value, `unknown scene "${selection.scene}"`);
+    return undefined;
+  }
+  const { [sceneKey]: _, ...values } = scene;
+  return { name: selection.scene, values };
+};
+
+// Selects a scene, returns the changes that go with it: flags left by the scene go back to their remote value.
+// When the same scene is selected again (e.g. by re-evaluated code), only the values that changed in its definition
+// are applied, so individual flags that were changed in the meantime keep their value
+const changeScene = (value) => {
+  const scene = resolveScene(value);
+  if (!scene) {
+    return {};
+  }
+  const switched = scene.name !== activeScene.name;
+  const changes = {};
+  Object.keys(sceneValues)
+    .filter((key) => !(key in scene.values))
+    .forEach((key) => {
+      delete sceneValues[key];
+      changes[key] = flags[key];
     });
+  Object.entries(scene.values).forEach(([key, value]) => {
+    if (!switched && JSON.stringify(activeScene.values[key]) === JSON.stringify(value)) {
+      return;
+    }
+    const current = JSON.stringify(remoteValue(key));
+    sceneValues[key] = value;
+    if (current !== JSON.stringify(value)) {
+      changes[key] = value;
+    }
+  });
+  activeScene = scene;
+  return changes;
+};
 
-    ldClient.on('change', (settings) => {
-      Object.keys(settings).forEach((key) => {
-        flags[key] = settings[key].current;
-      });
+// Drops values that don't have the type of their flag in the manifest, the previous value keeps playing
+const withManifestTypes = (changes) =>
+  Object.fromEntries(
+    Object.entries(changes).filter(([key, value]) => {
+      const problems = manifestFlags[key] ? validateFlagValue(value, getManifestSchema(manifestFlags[key])) : [];
+      if (value !== undefined && problems.length) {
+        reportFlag(key, value, `${problems.join(', ')} (see the flag manifest)`);
+        return false;
+      }
+      return true;
+    }),
+  );
+
+// Takes in changes of the provider, overridden flags keep their local value
+const applyRemoteChanges = (changes) => {
+  changes = Object.fromEntries(
+    Object.entries(withManifestTypes(changes)).filter(
+      ([key, value]) => JSON.stringify(flags[key]) !== JSON.stringify(value),
+    ),
+  );
+  Object.assign(flags, changes);
+  const scene = sceneKey in changes ? changeScene(changes[sceneKey]) : {};
+  Object.keys(changes).forEach((key) => {
+    // a new value replaces a rolled back one, and individual flags win over the scene
+    delete rollbacks[key];
+    delete sceneValues[key];
+  });
+  if (Object.keys(scene).length) {
+    // the scene and everything that changed with it applies at once, on the boundary of the scene flag
+    applyFlagChanges(withoutOverrides({ ...scene, ...changes }), false, sceneKey);
+  } else {
+    applyFlagChanges(withoutOverrides(changes));
+  }
+};
+
+/**
+ * Connects a flag provider (see flagproviders.mjs) and replaces the current flag set with its flags.
+ * A previously connected provider is closed first. With keepOnFailure, it is only closed once the new provider
+ * is ready: its flags keep playing meanwhile, and if the new provider fails, nothing changes.
+ *
+ * @param {Object} nextProvider provider implementing init, getAll, subscribe and close
+ * @param {Object} options
+ * @param {boolean} options.keepOnFailure keep the current provider until the new one is ready
+ * @example
+ * setFlagProvider(createStaticProvider({ scale: '<c:major a:minor>', drumsEnabled: false }))
+ */
+export const setFlagProvider = async (nextProvider, { keepOnFailure = false } = {}) => {
+  if (keepOnFailure && provider) {
+    return replaceFlagProvider(nextProvider);
+  }
+  await closeFlagProvider();
+  provider = nextProvider;
+  providerError = undefined;
+  initializing = true;
+  if (provider.onStatus) {
+    // providers with a connection report its state to flagconnection.mjs
+    setFlagConnection('initializing');
+    unsubscribeStatus = provider.onStatus(setFlagConnection);
+  }
+  let initial;
+  try {
+    initial = await provider.init();
+  } catch (err) {
+    // a failed provider may keep retrying in the background, and must not report its connection anymore
+    await nextProvider.close?.();
+    unsubscribeStatus?.();
+    unsubscribeStatus = undefined;
+    // without a provider, all flags fall back to their defaults
+    clearFlagState();
+    applyFlagChanges({ ...overrides }, true);
+    providerError = err;
+    if (nextProvider.onStatus) {
+      setFlagConnection('failed', { error: err });
+    }
+    provider = undefined;
+    throw err;
+  } finally {
+    initializing = false;
+  }
+  attachFlagProvider(initial);
+};
+
+const clearFlagState = () =>
+  [flags, timelines, histories, lastValid, recentChanges, rollbacks, sceneValues].forEach((map) =>
+    Object.keys(map).forEach((key) => delete map[key]),
+  );
+
+// Replaces the current flag set with the initial flags of the connected provider, and listens to its changes
+const attachFlagProvider = (initial) => {
+  clearFlagState();
+  activeScene = { values: {} };
+  initial = withManifestTypes(initial);
+  Object.assign(flags, initial);
+  applyFlagChanges({ ...initial, ...changeScene(initial[sceneKey]), ...overrides }, true);
+  if (provider.getTimeline) {
+    scheduleFlagChanges(provider.getTimeline());
+  }
+  unsubscribeProvider = provider.subscribe(applyRemoteChanges);
+};
+
+// Initializes a provider while the current one keeps playing, and only switches to it once it is ready
+const replaceFlagProvider = async (nextProvider) => {
+  let initial;
+  try {
+    initial = await nextProvider.init();
+  } catch (err) {
+    await nextProvider.close?.();
+    errorLogger(
+      new Error(`could not switch the flag provider, playing the previous flags: ${err.message}`),
+      'LaunchDarkly',
+    );
+    throw err;
+  }
+  await closeFlagProvider();
+  provider = nextProvider;
+  providerError = undefined;
+  if (provider.onStatus) {
+    // the state reported during init went nowhere, a fresh provider is live already
+    setFlagConnection('initializing');
+    unsubscribeStatus = provider.onStatus(setFlagConnection);
+    provider.getFreshness?.().live && setFlagConnection('live');
+  }
+  attachFlagProvider(initial);
+};
+
+export const closeFlagProvider = async () => {
+  pendingNotifications.forEach((timeout) => clearTimeout(timeout));
+  pendingNotifications.clear();
+  unsubscribeProvider?.();
+  unsubscribeProvider = undefined;
+  unsubscribeStatus?.();
+  unsubscribeStatus = undefined;
+  const closing = provider;
+  provider = undefined;
+  await closing?.close();
+  if (closing?.onStatus) {
+    setFlagConnection('idle');
+  }
+};
+
+export const getFlagProvider = () => provider;
+
+export const getFlagContext = () => context;
+
+/**
+ * Switches the evaluation context at runtime, e.g. to get the variations targeted at another venue.
+ * Providers that evaluate per context (like LaunchDarkly) are asked to identify the new context,
+ * and the flags it evaluates to are applied like any other change.
+ *
+ * @name setFlagContext
+ * @param {Object} nextContext single or multi-context
+ * @example
+ * setFlagContext({ kind: 'multi', user: { key: 'felix' }, venue: { key: 'berghain', city: 'Berlin' } })
+ */
+export const setFlagContext = async (nextContext) => {
+  context = normalizeFlagContext(nextContext);
+  if (!provider?.identify) {
+    return;
+  }
+  const next = await provider.identify(context);
+  // flags the new context does not get fall back to their defaults
+  const removed = Object.keys(flags).filter((key) => !(key in next));
+  applyRemoteChanges({ ...Object.fromEntries(removed.map((key) => [key, undefined])), ...next });
+  removed.forEach((key) => delete flags[key]);
+};
+
+/**
+ * Overrides a flag locally: the value wins over LaunchDarkly (or any other provider) until it is reverted.
+ * Overrides follow the same quantization and ramps as remote changes.
+ *
+ * @name setFlagOverride
+ * @param {string} key flag key
+ * @param {*} value number, boolean, string or JSON value
+ * @example
+ * setFlagOverride('bassEnabled', false) // mute the bass for this browser only
+ */
+export const setFlagOverride = (key, value) => setFlagOverrides({ ...overrides, [key]: value });
+
+/**
+ * Removes the local override of a flag, so it follows the provider again.
+ *
+ * @name revertFlagOverride
+ * @param {string} key flag key
+ */
+export const revertFlagOverride = (key) => {
+  const { [key]: _, ...rest } = overrides;
+  setFlagOverrides(rest);
+};
+
+// Replaces all local overrides, e.g. with the ones persisted in the settings
+export const setFlagOverrides = (next = {}) => {
+  const changes = {};
+  Object.keys(overrides)
+    .filter((key) => !(key in next))
+    .forEach((key) => {
+      delete overrides[key];
+      // an undefined value lets the flag fall back to its default
+      changes[key] = remoteValue(key);
     });
-    
-    ldClient.on('failed', (err) => {
-      console.error('[LaunchDarkly] Failed to initialize:', err);
-      reject(err);
+  Object.entries(next)
+    .filter(([key, value]) => !(key in overrides) || JSON.stringify(overrides[key]) !== JSON.stringify(value))
+    .forEach(([key, value]) => {
+      overrides[key] = value;
+      changes[key] = value;
+    });
+  if (Object.keys(changes).length) {
+    applyFlagChanges(changes);
+    overrideListeners.forEach((listener) => listener({ ...overrides }));
+  }
+};
+
+export const getFlagOverrides = () => ({ ...overrides });
+
+// Listens to changes of the local overrides, returns a function to stop listening
+export const onFlagOverridesChange = (listener) => {
+  overrideListeners.add(listener);
+  return () => overrideListeners.delete(listener);
+};
+
+/**
+ * Returns the state of the flag provider: 'uninitialized' if none was ever connected,
+ * 'initializing', 'ready' or 'failed' with the error of the last attempt.
+ * Providers that can serve cached flags add whether the flags are live, and when they were received.
+ */
+export const getFlagStatus = () => {
+  const name = provider?.name;
+  if (initializing) {
+    return { status: 'initializing', provider: name };
+  }
+  if (provider) {
+    return { status: 'ready', provider: name, ...provider.getFreshness?.() };
+  }
+  return { status: providerError ? 'failed' : 'uninitialized', error: providerError };
+};
+
+// Remembers that the evaluated code uses a flag, so the flags tab can list it
+const referenceFlag = (key, defaultValue, helper) => {
+  const reference = references.get(key) ?? { defaultValue, helpers: new Set() };
+  reference.helpers.add(helper);
+  references.set(key, reference);
+};
+
+// Forgets the flags referenced by the previous evaluation
+export const clearFlagReferences = () => references.clear();
+
+/**
+ * Names the variations of a flag, so the flags tab can show which variation is served.
+ *
+ * @name setFlagVariations
+ * @param {string} key flag key
+ * @param {Object[]} variations list of { value, name }
+ * @example
+ * setFlagVariations('scale', [{ value: '<g:minor>', name: 'G Minor' }, { value: '<a:minor>', name: 'A Minor' }])
+ */
+export const setFlagVariations = (key, variations) => {
+  variationNames[key] = variations;
+};
+
+const getVariationName = (key, value) => {
+  const serialized = JSON.stringify(value);
+  return variationNames[key]?.find((variation) => JSON.stringify(variation.value) === serialized)?.name;
+};
+
+/**
+ * Describes every flag referenced by the evaluated code: its value at the current cycle, where the value comes from,
+ * the name of the served variation and the recent changes.
+ */
+export const getFlagReport = () => {
+  const cycle = currentCycle();
+  // flags of the manifest are listed as well, even if the code doesn't use them
+  const unused = Object.keys(manifestFlags)
+    .filter((key) => !references.has(key))
+    .map((key) => [key, { helpers: new Set(), unused: true }]);
+  return [...references, ...unused].map(([key, { defaultValue, helpers, unused = false }]) => {
+    const value = getFlagAt(key, cycle, defaultValue);
+    const history = histories[key] ?? [];
+    return {
+      key,
+      helpers: [...helpers],
+      unused,
+      description: manifestFlags[key]?.description,
+      defaultValue: manifestDefault(key, defaultValue),
+      value,
+      latest: getLatestFlag(key, defaultValue),
+      remote: flags[key],
+      overridden: key in overrides,
+      rolledBack: key in rollbacks,
+      scene: key in sceneValues ? activeScene.name : undefined,
+      source:
+        key in overrides
+          ? 'override'
+          : key in rollbacks
+            ? 'rollback'
+            : key in sceneValues
+              ? 'scene'
+              : key in flags
+                ? (provider?.name ?? 'default')
+                : 'default',
+      variation: getVariationName(key, value),
+      lastChange: history.at(-1)?.time,
+      history,
+    };
+  });
+};
+
+// Listens to flag changes of any provider, returns a function to stop listening
+export const onFlagChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+// Listens to the cycle at which each flag change takes effect: listener({ cycle, key, value, ramp })
+export const onFlagTimeline = (listener) => {
+  timelineListeners.add(listener);
+  return () => timelineListeners.delete(listener);
+};
+
+/**
+ * Plans flag changes at exact cycles, regardless of when they are called or how the flags are quantized.
+ * This is what makes replaying recorded automation deterministic.
+ *
+ * @param {Object[]} events list of { cycle, key, value, ramp } where ramp is { duration, curve } in cycles
+ */
+export const scheduleFlagChanges = (events) => {
+  const cycle = currentCycle();
+  const staged = {};
+  [...events]
+    .sort((a, b) => a.cycle - b.cycle)
+    .forEach(({ cycle: begin, key, value, ramp }) => {
+      // future values are only in the timeline, they become the latest value once the scheduler reaches them
+      if (begin <= cycle) {
+        flags[key] = value;
+      }
+      if (scheduler?.started && begin >= cycle) {
+        staged[begin] = { ...staged[begin], [key]: value };
+      }
+      if (key in overrides) {
+        return;
+      }
+      writeTimeline(key, begin, value, ramp);
+      notifyTimeline(key, begin, value, ramp);
     });
+  Object.entries(staged).forEach(([boundary, changes]) =>
+    notifyAt(Number(boundary), withoutOverrides(changes), () => Object.assign(flags, changes)),
+  );
+};
+
+// The cycle position flag changes currently land on
+export const getFlagCycle = () => currentCycle();
+
+// Returns the values of all known flags as seen by pattern queries at the given cycle
+export const getFlagSnapshot = (cycle = currentCycle()) =>
+  Object.fromEntries(Object.keys(timelines).map((key) => [key, getFlagAt(key, cycle)]));
+
+/**
+ * Lets flag changes follow the cycle position of the given scheduler (Cyclist or NeoCyclist),
+ * which is needed to apply changes on quantized boundaries.
+ *
+ * @param {Object} nextScheduler
+ * @param {Object} nextPlayback { stop, start } of the repl, the kill switch stops and restarts playback with them like
+ * the stop and play buttons do (default: stop and start of the scheduler)
+ */
+export const setFlagScheduler = (nextScheduler, nextPlayback) => {
+  scheduler = nextScheduler;
+  playback =
+    nextPlayback ?? (nextScheduler && { stop: () => nextScheduler.stop(), start: () => nextScheduler.start() });
+};
+
+/**
+ * Sets the boundary at which flag changes become audible, either for all flags or for a single flag.
+ * Changes that arrive mid-way are staged and only become visible to pattern queries from the next boundary on.
+ * A quantum can be a number of cycles, or a meter like { meter: '3/4' } (relative to a 4/4 cycle) with optional bars.
+ * Use 0 to apply changes immediately, which is the default.
+ *
+ * @name setFlagQuantize
+ * @param {string|number|Object} key flag key, or the quantum for all flags
+ * @param {number|Object} quantum
+ * @example
+ * setFlagQuantize(1) // all flags switch on the next cycle
+ * setFlagQuantize('scale', 4) // scale only switches every 4 cycles
+ * setFlagQuantize('leadArrangement', { meter: '3/4', bars: 2 })
+ */
+export const setFlagQuantize = (key, quantum) => {
+  if (typeof key !== 'string') {
+    globalQuantum = key;
+    return;
+  }
+  if (quantum === undefined) {
+    delete quanta[key];
+  } else {
+    quanta[key] = quantum;
+  }
+};
+
+/**
+ * Glides numeric flags (and numeric fields of JSON flags) to new values instead of jumping.
+ * The ramp starts when the change becomes audible, so it can be combined with setFlagQuantize.
+ * For a flag used with setcpmFlag, the scheduler itself ramps the tempo.
+ *
+ * @name setFlagRamp
+ * @param {string} key flag key
+ * @param {number|Object} ramp duration in cycles, or { duration, unit: 'cycles' | 'seconds', curve: 'linear' | 'exponential' }
+ * @example
+ * setFlagRamp('globalTempo', { duration: 8 }) // glide to the new tempo over 8 cycles
+ * setFlagRamp('leadSynthSettings', { duration: 4, unit: 'seconds', curve: 'exponential' }) // filter sweeps
+ */
+export const setFlagRamp = (key, ramp) => {
+  if (!ramp) {
+    delete ramps[key];
+    return;
+  }
+  const { duration, unit = 'cycles', curve = 'linear' } = typeof ramp === 'number' ? { duration: ramp } : ramp;
+  ramps[key] = { duration, unit, curve };
+};
+
+/**
+ * Defines scenes: bundles of flag values (tempo, scale, kit, toggles...) that switch together when the scene flag
+ * changes. The scene flag holds the name of a scene, or { "scene": name, "scenes": { name: { flag: value } } }
+ * to define scenes in the payload as well. A scene applies as a whole on the boundary of the scene flag,
+ * so there are no audible half-states. Individual flags that change afterwards win until the next scene is selected,
+ * and local overrides always win.
+ *
+ * @name setFlagScenes
+ * @param {Object} sceneMap scene name -> { flag key: value }
+ * @param {Object} options
+ * @param {string} options.key key of the scene flag (default: 'scene')
+ * @param {number|Object} options.quantize boundary of scene changes, like in setFlagQuantize (default: 1 cycle)
+ * @example
+ * setFlagScenes({
+ *   intro: { globalTempo: 100, scale: '<c:minor>', 'drums-enabled': false },
+ *   drop: { globalTempo: 128, scale: '<c:minor f:minor>', 'drums-enabled': true },
+ * }, { quantize: 4 })
+ */
+export const setFlagScenes = (sceneMap, { key = 'scene', quantize = 1 } = {}) => {
+  Object.keys(scenes).forEach((name) => delete scenes[name]);
+  Object.assign(scenes, sceneMap);
+  sceneKey = key;
+  setFlagQuantize(key, quantize);
+  // re-evaluated code may have changed the selected scene
+  applyFlagChanges(withoutOverrides(changeScene(flags[key])), false, key);
+};
+
+// The default in the code wins, as it belongs to the tune. The manifest only fills in flags the code gives no default
+const manifestDefault = (key, defaultValue) => defaultValue ?? manifestFlags[key]?.default;
+
+/**
+ * Loads a flag set: a flags.json manifest (see flagmanifest.mjs) or the flag export of LaunchDarkly.
+ * Its defaults are used when a flag has no value and the code gives it no default, values of another type are rejected,
+ * and its variation names, quantize and ramp hints are applied. Without argument, the manifest is removed.
+ *
+ * @name setFlagManifest
+ * @param {Object} manifest { flags: [{ key, type, default, variations, quantize, ramp }] }, or { items } of LaunchDarkly
+ * @example
+ * setFlagManifest({ flags: [
+ *   { key: 'globalTempo', type: 'number', default: 120, ramp: { duration: 8 } },
+ *   { key: 'scale', default: '<g:minor>', variations: [{ value: '<g:minor>', name: 'G Minor' }], quantize: 4 },
+ * ] })
+ */
+export const setFlagManifest = (manifest) => {
+  const parsed = manifest && (manifest.flags ? parseFlagManifest(manifest) : fromLaunchDarklyExport(manifest));
+  // hints of the previous manifest go away with it
+  Object.values(manifestFlags).forEach(({ key, variations, quantize, ramp }) => {
+    variations.some(({ name }) => name) && delete variationNames[key];
+    quantize !== undefined && setFlagQuantize(key, undefined);
+    ramp !== undefined && setFlagRamp(key, undefined);
+    delete manifestFlags[key];
+  });
+  parsed?.flags.forEach((entry) => {
+    const { key, variations, quantize, ramp } = entry;
+    manifestFlags[key] = entry;
+    variations.some(({ name }) => name) && setFlagVariations(key, variations);
+    quantize !== undefined && setFlagQuantize(key, quantize);
+    ramp !== undefined && setFlagRamp(key, ramp);
   });
 };
 
+/**
+ * Loads a manifest from a url, like setFlagManifest
+ *
+ * @name loadFlagManifest
+ * @param {string} url
+ * @returns {Promise<Object|undefined>} the manifest, undefined if there is no file at the url
+ * @example
+ * await loadFlagManifest('https://example.com/my-tune/flags.json')
+ */
+export const loadFlagManifest = async (url) => {
+  const manifest = await fetchFlagManifest(url);
+  manifest && setFlagManifest(manifest);
+  return manifest;
+};
+
+/**
+ * Describes the flags of the manifest and the ones used by the evaluated code as a manifest, to share them with a tune
+ *
+ * @returns {Object} parsed manifest
+ */
+export const exportFlagManifest = () => {
+  const entries = new Map(Object.entries(manifestFlags));
+  references.forEach(({ defaultValue }, key) => {
+    if (entries.has(key)) {
+      return;
+    }
+    const entry = {
+      key,
+      default: defaultValue,
+      variations: variationNames[key],
+      quantize: quanta[key],
+      ramp: ramps[key],
+    };
+    entries.set(key, Object.fromEntries(Object.entries(entry).filter(([, field]) => field !== undefined)));
+  });
+  return parseFlagManifest({ flags: [...entries.values()] });
+};
+
+/**
+ * Reads the value of a flag as seen by pattern queries at the given cycle
+ *
+ * @param {string} key flag key
+ * @param {number} cycle cycle position
+ * @param {*} defaultValue returned if the flag is not set at that cycle
+ */
+export const getFlagAt = (key, cycle, defaultValue) => {
+  const timeline = timelines[key] ?? [];
+  for (let i = timeline.length - 1; i >= 0; i--) {
+    const { cycle: begin, value, from, ramp } = timeline[i];
+    if (begin <= cycle) {
+      if (ramp && cycle < begin + ramp.duration) {
+        return interpolate(from, value, (cycle - begin) / ramp.duration, ramp.curve);
+      }
+      return value ?? manifestDefault(key, defaultValue);
+    }
+  }
+  return manifestDefault(key, defaultValue);
+};
+
+// Reads the value of a flag at the current cycle, falling back to the given default
+export const getFlag = (key, defaultValue) => getFlagAt(key, currentCycle(), defaultValue);
+
+// Reads the latest value received for a flag, including staged changes that are not audible yet
+export const getLatestFlag = (key, defaultValue) =>
+  (key in overrides ? overrides[key] : remoteValue(key)) ?? manifestDefault(key, defaultValue);
+
+// Queries a pattern that depends on a flag, splitting the query where the flag changes its value
+const queryWithFlag = (key, defaultValue, state, query) => {
+  const { begin, end } = state.span;
+  const cuts = (timelines[key] ?? [])
+    .map(({ cycle }) => cycle)
+    .filter((cycle) => cycle > begin.valueOf() && cycle < end.valueOf())
+    .map((cycle) => Fraction(cycle));
+  if (!cuts.length) {
+    return query(getFlagAt(key, begin.valueOf(), defaultValue), state);
+  }
+  const points = [begin, ...cuts, end];
+  return cuts.concat([end]).flatMap((cut, i) => {
+    const span = new TimeSpan(points[i], cut);
+    return query(getFlagAt(key, points[i].valueOf(), defaultValue), state.setSpan(span));
+  });
+};
+
+// Reads a flag at the onset of a hap
+const getFlagForHap = (key, hap, defaultValue) => getFlagAt(key, (hap.whole ?? hap.part).begin.valueOf(), defaultValue);
+
+/**
+ * Connects to LaunchDarkly, or to a stand-in like @strudel/flagserver when a baseUrl is given.
+ * The flags cached by the last session play until the live flags arrive, and every live flag set is cached.
+ *
+ * @param {string} clientId LaunchDarkly client-side ID
+ * @param {Object} userContext evaluation context (see flagcontext.mjs), the legacy user shape is converted
+ * @param {Object} options
+ * @param {string} options.baseUrl url of a LaunchDarkly compatible server, used for polling, streaming and events
+ */
+export const initLaunchDarkly = async (clientId, userContext = defaultFlagContext(), { baseUrl } = {}) => {
+  if (provider) {
+    return;
+  }
+  context = normalizeFlagContext(userContext);
+  await connectLaunchDarkly(clientId, baseUrl);
+};
+
+let connection; // { clientId, baseUrl, provider } of the last LaunchDarkly client
+
+const connectLaunchDarkly = async (clientId, baseUrl) => {
+  const options = {};
+  if (baseUrl) {
+    baseUrl = baseUrl.replace(/\/$/, '');
+    Object.assign(options, { baseUrl, streamUrl: baseUrl, eventsUrl: baseUrl, streaming: true });
+  }
+  const launchDarkly = createLaunchDarklyProvider(clientId, context, options, loadFlagCache(clientId, context));
+  try {
+    // a switch keeps the current client until the new one is ready
+    await setFlagProvider(launchDarkly, { keepOnFailure: true });
+    connection = { clientId, baseUrl, provider: launchDarkly };
+    const save = () => launchDarkly.getFreshness().live && saveFlagCache(clientId, context, launchDarkly.getAll());
+    save();
+    launchDarkly.subscribe(save);
+  } catch (err) {
+    console.error('[LaunchDarkly] Failed to initialize:', err);
+    throw err;
+  }
+};
+
+/**
+ * Replaces the LaunchDarkly client with one for another client-side ID (environment) or base URL.
+ * The scheduler keeps running: the current flag values play until the new client is ready,
+ * then its flags are applied like any other change. If the new client fails, the current one stays connected.
+ * Without a client ID, the client is closed and flags keep their last values.
+ *
+ * @param {string} clientId LaunchDarkly client-side ID
+ * @param {Object} options
+ * @param {string} options.baseUrl url of a LaunchDarkly compatible server
+ */
+export const switchLaunchDarkly = async (clientId, { baseUrl } = {}) => {
+  baseUrl = baseUrl?.replace(/\/$/, '') || undefined;
+  if (
+    provider &&
+    provider === connection?.provider &&
+    connection.clientId === clientId &&
+    connection.baseUrl === baseUrl
+  ) {
+    return;
+  }
+  if (!clientId) {
+    connection = undefined;
+    await closeFlagProvider();
+    console.warn('[LaunchDarkly] No client ID for this environment, flags keep their last values');
+    return;
+  }
+  context = context ?? defaultFlagContext();
+  logger(`[LaunchDarkly] switching to ${clientId}${baseUrl ? ` at ${baseUrl}` : ''}`);
+  await connectLaunchDarkly(clientId, baseUrl);
+};
+
+const reportedValues = new Set(); // flag key + serialized value of every reported bad value
+const checkedValues = new WeakMap(); // JSON flag value -> { schema, problems }
+
+// Reports a bad flag value once per distinct value
+const reportFlag = (key, value, message) => {
+  const id = `${key}:${JSON.stringify(value)}`;
+  if (!reportedValues.has(id)) {
+    reportedValues.add(id);
+    errorLogger(new Error(`flag '${key}': ${message}`), 'LaunchDarkly');
+  }
+};
+
+const getProblems = (value, schema) => {
+  if (typeof value !== 'object' || value === null) {
+    return validateFlagValue(value, schema);
+  }
+  // flag values are read for every hap, so the result is kept per value
+  const checked = checkedValues.get(value);
+  if (checked?.schema === schema) {
+    return checked.problems;
+  }
+  const problems = validateFlagValue(value, schema);
+  checkedValues.set(value, { schema, problems });
+  return problems;
+};
+
+// Returns the value if it matches the schema, otherwise the last valid value (or the default) is used
+const checkFlag = (key, value, schema, defaultValue) => {
+  const problems = getProblems(value, schema);
+  if (!problems.length) {
+    lastValid[key] = value;
+    return value;
+  }
+  reportFlag(key, value, problems.join(', '));
+  return key in lastValid ? lastValid[key] : defaultValue;
+};
+
+// Like checkFlag, but JSON strings are parsed first
+const checkJSONFlag = (key, value, schema, defaultValue) => {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      reportFlag(key, value, `could not parse JSON (${e.message})`);
+      return key in lastValid ? lastValid[key] : defaultValue;
+    }
+  }
+  return checkFlag(key, value, schema, defaultValue);
+};
+
+// Returns the flags that changed shortly before the given cycle, the most recent change first
+const getSuspects = (cycle) =>
+  Object.entries(recentChanges)
+    .filter(([, changes]) => changes.length)
+    .map(([key, changes]) => [key, changes.at(-1)])
+    .filter(([, change]) => change.cycle <= cycle && cycle - change.cycle < ROLLBACK_WINDOW)
+    .sort(([, a], [, b]) => b.cycle - a.cycle)
+    .map(([key]) => key);
+
+// Locally reverts the latest change of a flag to the value that played before, returns a function to undo it
+const rollbackFlag = (key) => {
+  const change = recentChanges[key].pop();
+  const timeline = timelines[key];
+  const rolledBack = rollbacks[key];
+  rollbacks[key] = change.value;
+  timelines[key] = [{ cycle: -Infinity, value: change.previous }];
+  return () => {
+    recentChanges[key].push(change);
+    timelines[key] = timeline;
+    if (rolledBack === undefined) {
+      delete rollbacks[key];
+    } else {
+      rollbacks[key] = rolledBack;
+    }
+  };
+};
+
+const reportRollback = (key, err) => {
+  const timeline = timelines[key];
+  const previous = timeline[timeline.length - 1].value;
+  const variation = getVariationName(key, rollbacks[key]);
+  errorLogger(
+    new Error(
+      `flag '${key}' = ${JSON.stringify(rollbacks[key])}${variation ? ` (variation "${variation}")` : ''} ` +
+        `broke the pattern (${err.message}), rolled back to ${JSON.stringify(previous) ?? 'the default'}`,
+    ),
+    'LaunchDarkly',
+  );
+  notifyListeners({ [key]: previous });
+};
+
+/**
+ * Guards a pattern against bad flag values: if a query fails shortly after a flag change,
+ * the change is rolled back locally when that makes the query work again.
+ * Used by the REPL for every evaluated pattern.
+ *
+ * @param {Pattern} pattern
+ * @returns {Pattern}
+ */
+export const guardFlagPattern = (pattern) =>
+  new Pattern((state) => {
+    try {
+      return pattern.query(state);
+    } catch (err) {
+      // only a flag whose rollback fixes the query is blamed
+      for (const key of getSuspects(state.span.end.valueOf())) {
+        const undo = rollbackFlag(key);
+        try {
+          const haps = pattern.query(state);
+          reportRollback(key, err);
+          return haps;
+        } catch (e) {
+          undo();
+        }
+      }
+      throw err;
+    }
+  }, pattern._steps);
+
+// Tells whether a hap depends on a flag: the playing pattern doesn't give the same hap with the previous value
+const hapDependsOn = (key, hap) => {
+  const pattern = scheduler?.pattern;
+  if (!pattern) {
+    return false;
+  }
+  const span = hap.whole ?? hap.part;
+  const value = JSON.stringify(hap.value);
+  const undo = rollbackFlag(key);
+  try {
+    return !pattern
+      .queryArc(span.begin, span.end)
+      .some((other) => (other.whole ?? other.part).equals(span) && JSON.stringify(other.value) === value);
+  } catch (err) {
+    // the previous value breaks the query, so the flag is part of it
+    return true;
+  } finally {
+    undo();
+  }
+};
+
+/**
+ * Guards an output (like webaudioOutput) against bad flag values: if triggering a hap fails shortly after a change
+ * of a flag the hap depends on, that change is rolled back locally, so the following haps play the previous value.
+ *
+ * @param {Function} output
+ * @returns {Function}
+ */
+export const guardFlagOutput =
+  (output) =>
+  async (hap, ...args) => {
+    try {
+      return await output(hap, ...args);
+    } catch (err) {
+      const key = getSuspects((hap.whole ?? hap.part).begin.valueOf()).find((key) => hapDependsOn(key, hap));
+      if (key) {
+        rollbackFlag(key);
+        reportRollback(key, err);
+      }
+      throw err;
+    }
+  };
+
 // Check if a string value contains mini-notation pattern syntax
 const hasMiniNotation = (value) => {
   if (typeof value !== 'string') return false;
   // Check for common mini-notation patterns: <> for slowcat, [] for grouping, * for speed, etc.
-  return /[<>\[\]*!@,]/.test(value);
+  return /[<>[\]*!@,]/.test(value);
 };
 
+const MINI_MARKER = 'mini:';
+
+// Returns the code of a string marked with mini:, which is parsed as mini-notation whatever it contains
+const markedMini = (value) =>
+  typeof value === 'string' && value.startsWith(MINI_MARKER) ? value.slice(MINI_MARKER.length) : undefined;
+
 export const flag = (key, defaultValue) => {
-    // Cache for parsed mini-notation patterns - allows dynamic updates
-    let cachedValue = null;
-    let cachedPattern = null;
-    
-    // Create a dynamic pattern that re-evaluates on each query
-    // This allows flag changes to take effect immediately
-    return new Pattern((state) => {
-      const value = flags[key] ?? defaultValue;
-      
-      // If value contains mini-notation, parse it as a pattern
-      if (hasMiniNotation(value)) {
+  referenceFlag(key, defaultValue, 'flag');
+  // Cache for parsed mini-notation patterns - allows dynamic updates
+  let cachedValue = null;
+  let cachedPattern = null;
+
+  // Create a dynamic pattern that re-evaluates on each query
+  // This allows flag changes to take effect on the next query (or quantized boundary)
+  return new Pattern((state) =>
+    queryWithFlag(key, defaultValue, state, (value, state) => {
+      // If value is marked with mini: or contains mini-notation, parse it as a pattern
+      const code = markedMini(value) ?? (hasMiniNotation(value) ? value : undefined);
+      if (code !== undefined) {
         // Re-parse only if the value changed (for efficiency)
-        if (value !== cachedValue) {
+        if (code !== cachedValue) {
           try {
-            cachedPattern = mini(value);
-            cachedValue = value;
+            cachedPattern = mini(code);
+            cachedValue = code;
           } catch (e) {
             console.error(`[LaunchDarkly] Failed to parse mini-notation for flag '${key}':`, e);
             return pure(value).query(state);
@@ -72,17 +1095,133 @@ export const flag = (key, defaultValue) => {
         }
         return cachedPattern.query(state);
       }
-      
+
       // For plain values, return a pure pattern query
       return pure(value).query(state);
-    });
+    }),
+  );
+};
+
+// Reads a flag with a typed accessor, read turns the flag value into a pattern
+const typedFlag = (key, defaultValue, helper, read) => {
+  referenceFlag(key, defaultValue, helper);
+  return new Pattern((state) => queryWithFlag(key, defaultValue, state, (value, state) => read(value).query(state)));
+};
+
+// Numeric strings like "120" become numbers
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value);
+
+// "true" / "false" and 1 / 0 become booleans
+const toBoolean = (value) => {
+  if (value === 'true' || value === 1) {
+    return true;
+  }
+  if (value === 'false' || value === 0) {
+    return false;
+  }
+  return value;
+};
+
+/**
+ * Reads a flag as a number. Unlike flag(), numeric strings like "120" are converted,
+ * and values that are no number or out of range are reported.
+ *
+ * @name flagNumber
+ * @param {string} key flag key
+ * @param {number} defaultValue used when the flag is not set or invalid
+ * @param {Object} range optional { min, max }
+ * @returns {Pattern}
+ * @example
+ * s("bd*4").lpf(flagNumber('cutoff', 800, { min: 0, max: 20000 }))
+ */
+export const flagNumber = (key, defaultValue = 0, { min, max } = {}) =>
+  typedFlag(key, defaultValue, 'flagNumber', (value) =>
+    pure(checkFlag(key, toNumber(value), { type: 'number', min, max }, defaultValue)),
+  );
+
+/**
+ * Reads a flag as a boolean. The strings "true" and "false" and the numbers 1 and 0 are converted.
+ *
+ * @name flagBool
+ * @param {string} key flag key
+ * @param {boolean} defaultValue used when the flag is not set or invalid
+ * @returns {Pattern}
+ * @example
+ * s("hh*8").mask(flagBool('hats', true))
+ */
+export const flagBool = (key, defaultValue = false) =>
+  typedFlag(key, defaultValue, 'flagBool', (value) =>
+    pure(checkFlag(key, toBoolean(value), { type: 'boolean' }, defaultValue)),
+  );
+
+/**
+ * Reads a JSON flag, JSON strings are parsed. The value is checked against a schema (see flagschema.mjs),
+ * which expects an object by default.
+ *
+ * @name flagJSON
+ * @param {string} key flag key
+ * @param {*} defaultValue used when the flag is not set or invalid
+ * @param {Object} schema
+ * @returns {Pattern}
+ * @example
+ * s("bd*4").set(flagJSON('drumFx', { room: 0.2 }, { type: 'object', controls: true }))
+ */
+export const flagJSON = (key, defaultValue = {}, schema = { type: 'object' }) =>
+  typedFlag(key, defaultValue, 'flagJSON', (value) => pure(checkJSONFlag(key, value, schema, defaultValue)));
+
+/**
+ * Reads a list flag (an array, or a JSON string of an array) as a sequence within a cycle, or as a stack.
+ * Items are used as they are, only strings marked with mini: are parsed as mini-notation.
+ *
+ * @name flagList
+ * @param {string} key flag key
+ * @param {Array} defaultValue used when the flag is not set or invalid
+ * @param {Object} options { as: 'sequence' | 'stack' }
+ * @returns {Pattern}
+ * @example
+ * note(flagList('chord', ['c3', 'e3', 'g3'], { as: 'stack' })).s('piano')
+ * // ["c3", "mini:<e3 eb3>", "g3"] alternates the third
+ */
+export const flagList = (key, defaultValue = [], { as = 'sequence' } = {}) => {
+  if (!['sequence', 'stack'].includes(as)) {
+    throw new Error(`[LaunchDarkly] flagList combines items as 'sequence' or 'stack', not '${as}'`);
+  }
+  const combine = as === 'stack' ? stack : seq;
+  let cachedList;
+  let cachedPattern;
+  const toPattern = (list) => {
+    const serialized = JSON.stringify(list);
+    if (serialized !== cachedList) {
+      cachedPattern = list.length
+        ? combine(...list.map((item) => (markedMini(item) !== undefined ? mini(markedMini(item)) : pure(item))))
+        : silence;
+      cachedList = serialized;
+    }
+    return cachedPattern;
+  };
+  return typedFlag(key, defaultValue, 'flagList', (value) => {
+    const list = checkJSONFlag(key, value, { type: 'array' }, defaultValue);
+    try {
+      return toPattern(list);
+    } catch (e) {
+      reportFlag(key, value, `could not parse mini-notation (${e.message})`);
+      return toPattern(defaultValue);
+    }
+  });
+};
+
+const polySpeedSchema = {
+  oneOf: [
+    { type: 'number', min: 0 },
+    { type: 'array', items: { type: 'number', min: 0 } },
+  ],
 };
 
 /**
  * Creates polyphonic (layered) speed multiplication from a flag value.
  * Unlike fast() which sequences speeds, this stacks multiple copies of the pattern
  * running at different speeds simultaneously - equivalent to mini-notation *[a,b,c].
- * 
+ *
  * @name polySpeed
  * @param {string} flagKey - The LaunchDarkly flag key containing speed value(s)
  * @param {number|number[]} defaultValue - Default speed(s) if flag is not set
@@ -90,39 +1229,139 @@ export const flag = (key, defaultValue) => {
  * // Flag 'melodySpeed' can be a single number (16) or array ([16, 4])
  * // Single number: plays at that speed
  * // Array: creates polyphonic layers at each speed (like *[16,4] in mini-notation)
- * 
+ *
  * n("<0 2 0 4 9 7>")
  *   .polySpeed('melodySpeed', [16, 4])
  *   .scale("<g:minor eb:major bb:major d:major>")
  *   ._punchcard()
  */
-Pattern.prototype.polySpeed = function(flagKey, defaultValue = 1) {
+Pattern.prototype.polySpeed = function (flagKey, defaultValue = 1) {
+  referenceFlag(flagKey, defaultValue, 'polySpeed');
   // We need to return a pattern that dynamically reads the flag
   // and applies the appropriate speed transformation
   const self = this;
-  
-  // Get the current flag value
-  const getValue = () => flags[flagKey] ?? defaultValue;
-  
+
   // Create a new pattern that queries the flag and builds the appropriate structure
-  return new Pattern((state) => {
-    const speeds = getValue();
-    
-    // If it's an array, create polyphonic layers (stack)
-    if (Array.isArray(speeds)) {
-      if (speeds.length === 0) {
-        return self.query(state);
+  return new Pattern((state) =>
+    queryWithFlag(flagKey, defaultValue, state, (speeds, state) => {
+      speeds = checkFlag(flagKey, speeds, polySpeedSchema, defaultValue);
+      // If it's an array, create polyphonic layers (stack)
+      if (Array.isArray(speeds)) {
+        if (speeds.length === 0) {
+          return self.query(state);
+        }
+        // Stack multiple copies at different speeds
+        const layeredPattern = stack(...speeds.map((speed) => self._fast(speed)));
+        return layeredPattern.query(state);
       }
-      // Stack multiple copies at different speeds
-      const layeredPattern = stack(...speeds.map(speed => self._fast(speed)));
-      return layeredPattern.query(state);
+
+      // If it's a single number, just apply fast
+      return self._fast(speeds).query(state);
+    }),
+  );
+};
+
+// Parsed mini-notation strings of flag fields, shared by all flagControls calls
+const fieldPatterns = new Map();
+
+// Forgets the field patterns parsed for the previous evaluation, called before each evaluation
+export const clearFlagFieldPatterns = () => fieldPatterns.clear();
+
+// Reads a patternable field value at the onset of a hap
+const sampleField = (value, time) => {
+  if (!fieldPatterns.has(value)) {
+    fieldPatterns.set(value, mini(value));
+  }
+  const hap = fieldPatterns.get(value).queryArc(time, time)[0];
+  return hap?.value;
+};
+
+const mergePolicies = {
+  override: (current, value) => value,
+  multiply: (current, value) => (current ?? 1) * value,
+  add: (current, value) => (current ?? 0) + value,
+  pattern: (current, value, hap) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return sampleField(value, (hap.whole ?? hap.part).begin);
+    } catch (e) {
+      console.error(`[LaunchDarkly] Failed to parse mini-notation '${value}':`, e);
+      return current;
+    }
+  },
+};
+
+// Derives the schema of each configured field, from its spec or from the control it is written to
+const fieldSchemas = (specs) =>
+  Object.fromEntries(
+    Object.entries(specs).map(([field, { policy, as = field, type, min, max }]) => {
+      const schema = type ? { type, min, max } : (controlSchemas[as] ?? { type: 'any' });
+      return [field, policy === 'pattern' ? { oneOf: [schema, { type: 'string' }] } : schema];
+    }),
+  );
+
+// Merges the fields of a JSON flag into hap values, following the field specs of flagControls
+const withFlagControls = (pat, flagKey, defaultValue, fields, helper) => {
+  referenceFlag(flagKey, defaultValue, helper);
+  const specs = Object.fromEntries(
+    Object.entries(fields).map(([field, spec]) => [field, typeof spec === 'object' ? spec : { policy: spec }]),
+  );
+  const schema = { type: 'object', controls: true, fields: fieldSchemas(specs) };
+  return pat.withHap((hap) => {
+    const flagValue = checkJSONFlag(flagKey, getFlagForHap(flagKey, hap, defaultValue), schema, defaultValue);
+    if (!isPlainObject(flagValue)) {
+      return hap;
     }
-    
-    // If it's a single number, just apply fast
-    return self._fast(speeds).query(state);
+    const controls = { ...flagValue };
+    // fields with a default are always applied
+    Object.entries(specs).forEach(([field, { default: value }]) => {
+      if (controls[field] === undefined && value !== undefined) {
+        controls[field] = value;
+      }
+    });
+    return hap.withValue((v) => {
+      const next = { ...v };
+      Object.entries(controls).forEach(([field, value]) => {
+        const { policy = 'override', as = field } = specs[field] ?? {};
+        const merge = typeof policy === 'function' ? policy : mergePolicies[policy];
+        if (!merge) {
+          throw new Error(`[LaunchDarkly] Unknown merge policy '${policy}' for field '${field}'`);
+        }
+        next[as] = merge(v[as], value, hap);
+      });
+      return next;
+    });
   });
 };
 
+/**
+ * Merges the fields of a JSON flag into the values of the haps, e.g. { "s": "sawtooth", "lpf": 800 }.
+ * The flag is read at the onset of each hap, so changes take effect on the next trigger.
+ * By default, fields of the flag override the fields of the hap. The merge can be configured per field with
+ * either a policy, or { policy, as, default, type, min, max }:
+ *   - policy: 'override', 'multiply' (like gain), 'add', 'pattern' (mini-notation strings like "<300 1200>")
+ *     or a function (current, value, hap) => merged value
+ *   - as: the control to write to, e.g. { sound: { as: 's' } }
+ *   - default: value used when the flag does not contain the field
+ *   - type, min, max: expected type and range, known controls are checked against the ranges of flagschema.mjs
+ * Fields that are neither configured nor a known control, values out of range and unparseable JSON are reported
+ * in the console, and the last valid value of the flag keeps playing.
+ *
+ * @name flagControls
+ * @param {string} flagKey - The LaunchDarkly flag key containing a JSON object
+ * @param {Object} defaultValue - Used when the flag is not set
+ * @param {Object} fields - Merge policy per field
+ * @example
+ * note("c2 eb2 g2 bb2")
+ *   .flagControls('bassSettings', { s: 'sawtooth', lpf: 600 }, { gain: 'multiply', lpf: 'pattern', note: 'add' })
+ * // the flag { "lpf": "<300 1200>", "note": 12 } plays an octave higher with an alternating cutoff
+ */
+Pattern.prototype.flagControls = function (flagKey, defaultValue = {}, fields = {}) {
+  return withFlagControls(this, flagKey, defaultValue, fields, 'flagControls');
+};
+
 /**
  * Applies drum kit settings from a LaunchDarkly flag.
  * The flag is read dynamically, so changes take effect on the next trigger.
@@ -132,7 +1371,7 @@ Pattern.prototype.polySpeed = function(flagKey, defaultValue = 1) {
  *   - delay: number - optional delay amount (0-1)
  *   - room: number - optional reverb room size (0-1)
  *   - any other Strudel audio effect properties
- * 
+ *
  * @name drumKit
  * @param {string} flagKey - The LaunchDarkly flag key to read drum kit settings from
  * @param {Object} defaultValue - Default settings if flag is not set: { bank: 'RolandTR808', gain: 1 }
@@ -140,29 +1379,14 @@ Pattern.prototype.polySpeed = function(flagKey, defaultValue = 1) {
  * s("bd sd [~ bd] sd, hh*8")
  *   .drumKit('drum-kit-settings')
  */
-Pattern.prototype.drumKit = function(flagKey, defaultValue = { bank: 'RolandTR808', gain: 1 }) {
-  return this.withHap((hap) => {
-    const flagValue = flags[flagKey] ?? defaultValue;
-    
-    // If flagValue is a string, try to parse it as JSON
-    let parsedValue = flagValue;
-    if (typeof flagValue === 'string') {
-      try {
-        parsedValue = JSON.parse(flagValue);
-      } catch (e) {
-        // Keep as-is if not valid JSON
-      }
-    }
-    
-    const { bank = 'RolandTR808', gain = 1, ...effects } = parsedValue;
-    
-    return hap.withValue((v) => ({
-      ...v,
-      ...effects,
-      bank,
-      gain: (v.gain ?? 1) * gain,
-    }));
-  });
+Pattern.prototype.drumKit = function (flagKey, defaultValue = { bank: 'RolandTR808', gain: 1 }) {
+  return withFlagControls(
+    this,
+    flagKey,
+    defaultValue,
+    { bank: { default: 'RolandTR808' }, gain: { policy: 'multiply', default: 1 } },
+    'drumKit',
+  );
 };
 
 /**
@@ -172,7 +1396,7 @@ Pattern.prototype.drumKit = function(flagKey, defaultValue = { bank: 'RolandTR80
  *   - sound: string - the sound/synth name (e.g., 'gm_synth_bass_2', 'sawtooth')
  *   - lpf: number - optional low-pass filter cutoff frequency
  *   - gain: number - optional gain multiplier (default: 1)
- * 
+ *
  * @name bassSound
  * @param {string} flagKey - The LaunchDarkly flag key to read bass sound settings from
  * @param {Object} defaultValue - Default settings if flag is not set
@@ -180,37 +1404,14 @@ Pattern.prototype.drumKit = function(flagKey, defaultValue = { bank: 'RolandTR80
  * note("e2 f2 g2 a2")
  *   .bassSound('bass-sound-settings')
  */
-Pattern.prototype.bassSound = function(flagKey, defaultValue = { sound: 'gm_synth_bass_2', lpf: 1800, gain: 1 }) {
-  return this.withHap((hap) => {
-    const flagValue = flags[flagKey] ?? defaultValue;
-    
-    // If flagValue is a string, try to parse it as JSON
-    let parsedValue = flagValue;
-    if (typeof flagValue === 'string') {
-      try {
-        parsedValue = JSON.parse(flagValue);
-      } catch (e) {
-        // Keep as-is if not valid JSON
-      }
-    }
-    
-    const { sound = 'gm_synth_bass_2', lpf, gain = 1, ...otherEffects } = parsedValue;
-    
-    return hap.withValue((v) => {
-      const newValue = {
-        ...v,
-        ...otherEffects,
-        s: sound,
-        gain: (v.gain ?? 1) * gain,
-      };
-      
-      if (lpf !== undefined) {
-        newValue.lpf = lpf;
-      }
-      
-      return newValue;
-    });
-  });
+Pattern.prototype.bassSound = function (flagKey, defaultValue = { sound: 'gm_synth_bass_2', lpf: 1800, gain: 1 }) {
+  return withFlagControls(
+    this,
+    flagKey,
+    defaultValue,
+    { sound: { as: 's', default: 'gm_synth_bass_2' }, gain: { policy: 'multiply', default: 1 } },
+    'bassSound',
+  );
 };
 
 /**
@@ -221,7 +1422,7 @@ Pattern.prototype.bassSound = function(flagKey, defaultValue = { sound: 'gm_synt
  *   - lpf: number - optional low-pass filter cutoff frequency
  *   - lpq: number - optional filter resonance
  *   - gain: number - optional gain multiplier (default: 1)
- * 
+ *
  * @name leadSound
  * @param {string} flagKey - The LaunchDarkly flag key to read lead synth settings from
  * @param {Object} defaultValue - Default settings if flag is not set
@@ -229,47 +1430,21 @@ Pattern.prototype.bassSound = function(flagKey, defaultValue = { sound: 'gm_synt
  * note("c4 e4 g4 b4")
  *   .leadSound('lead-synth-settings')
  */
-Pattern.prototype.leadSound = function(flagKey, defaultValue = { sound: 'sawtooth', lpf: 300, lpq: 0, gain: 1 }) {
-  return this.withHap((hap) => {
-    const flagValue = flags[flagKey] ?? defaultValue;
-    
-    // If flagValue is a string, try to parse it as JSON
-    let parsedValue = flagValue;
-    if (typeof flagValue === 'string') {
-      try {
-        parsedValue = JSON.parse(flagValue);
-      } catch (e) {
-        // Keep as-is if not valid JSON
-      }
-    }
-    
-    const { sound = 'sawtooth', lpf, lpq, gain = 1, ...otherEffects } = parsedValue;
-    
-    return hap.withValue((v) => {
-      const newValue = {
-        ...v,
-        ...otherEffects,
-        s: sound,
-        gain: (v.gain ?? 1) * gain,
-      };
-      
-      if (lpf !== undefined) {
-        newValue.lpf = lpf;
-      }
-      if (lpq !== undefined) {
-        newValue.lpq = lpq;
-      }
-      
-      return newValue;
-    });
-  });
+Pattern.prototype.leadSound = function (flagKey, defaultValue = { sound: 'sawtooth', lpf: 300, lpq: 0, gain: 1 }) {
+  return withFlagControls(
+    this,
+    flagKey,
+    defaultValue,
+    { sound: { as: 's', default: 'sawtooth' }, gain: { policy: 'multiply', default: 1 } },
+    'leadSound',
+  );
 };
 
 /**
  * Conditionally enables or disables a pattern based on a LaunchDarkly flag.
  * When the flag is truthy, the pattern plays normally.
  * When the flag is falsy, the pattern is silenced.
- * 
+ *
  * @name toggle
  * @param {string} flagKey - The LaunchDarkly flag key (should be a boolean flag)
  * @param {boolean} defaultValue - Default state if flag is not set (default: true = enabled)
@@ -279,7 +1454,7 @@ Pattern.prototype.leadSound = function(flagKey, defaultValue = { sound: 'sawtoot
  *   .drumKit('drum-kit-settings', { bank: 'RolandTR808' })
  *   .toggle('drums-enabled', true)
  *   ._scope()
- * 
+ *
  * // Enable/disable melody
  * $: n("<0 2 0 3 4 0 9 8>")
  *   .polySpeed('melodySpeed', 16)
@@ -287,24 +1462,85 @@ Pattern.prototype.leadSound = function(flagKey, defaultValue = { sound: 'sawtoot
  *   .toggle('melody-enabled', true)
  *   ._punchcard()
  */
-Pattern.prototype.toggle = function(flagKey, defaultValue = true) {
+Pattern.prototype.toggle = function (flagKey, defaultValue = true) {
+  referenceFlag(flagKey, defaultValue, 'toggle');
   const self = this;
-  return new Pattern((state) => {
-    const enabled = flags[flagKey] ?? defaultValue;
-    if (enabled) {
-      return self.query(state);
-    }
-    return []; // Return no haps (silence)
-  });
+  return new Pattern((state) =>
+    queryWithFlag(flagKey, defaultValue, state, (enabled, state) => {
+      if (checkFlag(flagKey, enabled, { type: 'boolean' }, defaultValue)) {
+        return self.query(state);
+      }
+      return []; // Return no haps (silence)
+    }),
+  );
 };
 
-// Track registered tempo flag listeners to prevent duplicates
-const tempoListeners = new Map();
+// rand of the position within the cycle, which repeats every cycle
+const cycleRand = signal((time) => rand.queryArc(time.cyclePos(), time.cyclePos())[0].value);
+
+/**
+ * Lets a percentage of the haps of a pattern pass, like a percentage rollout in LaunchDarkly.
+ * Which haps pass is decided by `rand` at the position of each hap within its cycle, so the same haps play
+ * every cycle, and raising the percentage only adds haps. Combined with setFlagRamp, haps fade in one by one.
+ *
+ * @name rollout
+ * @param {string} flagKey - The LaunchDarkly flag key (a number between 0 and 100)
+ * @param {number} defaultValue - Percentage if the flag is not set (default: 100 = all haps)
+ * @example
+ * // raise 'hihat-rollout' from 0 to 100 over a few edits to fade in the hi-hats
+ * s("hh*16").rollout('hihat-rollout', 0)
+ */
+Pattern.prototype.rollout = function (flagKey, defaultValue = 100) {
+  referenceFlag(flagKey, defaultValue, 'rollout');
+  const self = this;
+  return new Pattern((state) =>
+    queryWithFlag(flagKey, defaultValue, state, (percentage, state) => {
+      percentage = checkFlag(flagKey, percentage, { type: 'number', min: 0, max: 100 }, defaultValue);
+      // 1 - rand is above 1 - percentage / 100 for the given share of haps, and for more haps as the percentage rises.
+      // Like in undegradeBy, it is never 0, so all haps pass at 100
+      return self
+        ._degradeByWith(
+          cycleRand.fmap((r) => 1 - r),
+          1 - percentage / 100,
+        )
+        .query(state);
+    }),
+  );
+};
+
+let tempoBinding; // { flagKey, defaultValue, divisor, unsubscribe }, set by the evaluated code
+
+// Converts a value of the tempo flag to cycles per minute
+const toCpm = ({ flagKey, defaultValue, divisor }, value) => {
+  // Parse if string (in case flag returns string)
+  const number = typeof value === 'string' ? parseFloat(value) : (value ?? defaultValue);
+  return checkFlag(flagKey, number, { type: 'number', min: 1 }, defaultValue) / divisor;
+};
+
+// Sets the tempo of the scheduler, changes of a ramped flag glide to the new tempo
+const applyTempo = (binding, value, changed = false) => {
+  const cpm = toCpm(binding, value);
+  const ramp = ramps[binding.flagKey];
+  if (changed && ramp && scheduler?.started && scheduler.rampCps) {
+    // the average cps of a linear ramp converts cycles to seconds
+    const cps = cpm / 60;
+    const seconds = ramp.unit === 'seconds' ? ramp.duration : (2 * ramp.duration) / (scheduler.cps + cps);
+    scheduler.rampCps(cps, seconds);
+  } else if (scheduler?.setCps) {
+    scheduler.setCps(cpm / 60);
+  } else if (typeof globalThis.setcpm === 'function') {
+    globalThis.setcpm(cpm);
+  } else {
+    console.warn('[LaunchDarkly] setcpm not available - tempo change deferred');
+  }
+};
 
 /**
  * Sets the global tempo (cycles per minute) from a LaunchDarkly flag.
- * The tempo updates reactively when the flag value changes.
- * 
+ * The tempo updates reactively when the flag value changes. The binding belongs to the evaluated code:
+ * each evaluation and hush removes it, so only the last setcpmFlag of the current code controls the tempo.
+ * It can be called before LaunchDarkly is ready, the default plays until the flags arrive.
+ *
  * @name setcpmFlag
  * @param {string} flagKey - The LaunchDarkly flag key containing the tempo value
  * @param {number} defaultValue - Default tempo value if flag is not set (default: 100)
@@ -314,63 +1550,380 @@ const tempoListeners = new Map();
  * @example
  * // Set tempo from a flag storing CPM directly
  * setcpmFlag('globalTempo', 25) // 25 CPM
- * 
+ *
  * // Set tempo from a flag storing BPM, with divisor for 4/4 time
  * setcpmFlag('globalTempo', 110, 4) // Flag stores 110 BPM, converts to 27.5 CPM
- * 
+ *
  * // Common BPM to CPM conversions (4/4 time):
  * // 80 BPM = 20 CPM, 100 BPM = 25 CPM, 110 BPM = 27.5 CPM, 120 BPM = 30 CPM
  */
 export const setcpmFlag = (flagKey, defaultValue = 100, divisor = 1) => {
-  // Get initial value and set tempo
-  const getValue = () => {
-    const value = flags[flagKey] ?? defaultValue;
-    // Parse if string (in case flag returns string)
-    const numValue = typeof value === 'string' ? parseFloat(value) : value;
-    return numValue / divisor;
-  };
-  
-  // Apply initial tempo
-  const applyTempo = () => {
-    const cpm = getValue();
-    if (typeof globalThis.setcpm === 'function') {
-      globalThis.setcpm(cpm);
-    } else if (typeof globalThis.setCpm === 'function') {
-      globalThis.setCpm(cpm);
-    } else {
-      console.warn('[LaunchDarkly] setcpm not available - tempo change deferred');
+  referenceFlag(flagKey, defaultValue, 'setcpmFlag');
+  clearFlagTempo();
+  const binding = { flagKey, defaultValue, divisor };
+  // listens to the flag changes of whichever provider is connected, now or later
+  binding.unsubscribe = onFlagChange((changes) => {
+    if (flagKey in changes) {
+      applyTempo(binding, changes[flagKey], true);
     }
-  };
-  
-  // Apply tempo immediately
-  applyTempo();
-  
-  // Set up reactive listener if not already registered for this flag
-  if (!tempoListeners.has(flagKey)) {
-    const listener = () => {
-      applyTempo();
-    };
-    tempoListeners.set(flagKey, listener);
-    
-    // Hook into the LaunchDarkly change event if client is available
-    if (ldClient) {
-      ldClient.on('change', (settings) => {
-        if (settings[flagKey]) {
-          listener();
-        }
-      });
+  });
+  tempoBinding = binding;
+  applyTempo(binding, getFlag(flagKey, defaultValue));
+  return silence;
+};
+
+/**
+ * Removes the tempo binding of setcpmFlag, the tempo stays as it is. Called before each evaluation and on hush.
+ */
+export const clearFlagTempo = () => {
+  tempoBinding?.unsubscribe();
+  tempoBinding = undefined;
+};
+
+/**
+ * Describes the tempo for the UI
+ *
+ * @returns {Object} { cpm, bpm } of the scheduler (bpm if setcpmFlag gave a divisor),
+ * and { flagKey, target } of the tempo flag, if setcpmFlag is used
+ */
+export const getFlagTempo = () => {
+  const binding = tempoBinding;
+  const target = binding && toCpm(binding, getFlag(binding.flagKey, binding.defaultValue));
+  const cpm = scheduler?.cps !== undefined ? scheduler.cps * 60 : target;
+  if (cpm === undefined) {
+    return {};
+  }
+  const divisor = binding?.divisor ?? 1;
+  return { cpm, bpm: divisor !== 1 ? cpm * divisor : undefined, flagKey: binding?.flagKey, target };
+};
+
+// { flagKey, fade, bar, unsubscribe, fadeFrom, fadeCycles, resumeCycle, stopped, timeout }, set by setFlagKillSwitch
+let killSwitch;
+
+// Returns the gain of the output for a hap that begins at the given cycle: fading out while the kill switch is on,
+// and silent until the next bar after it was released while the scheduler kept running
+const killSwitchLevel = (cycle) => {
+  const { fadeFrom, fadeCycles, resumeCycle } = killSwitch ?? {};
+  if (fadeFrom !== undefined) {
+    if (cycle < fadeFrom) {
+      return 1;
+    }
+    return fadeCycles > 0 ? Math.max(0, 1 - (cycle - fadeFrom) / fadeCycles) : 0;
+  }
+  if (resumeCycle !== undefined) {
+    if (cycle < resumeCycle) {
+      return 0;
+    }
+    killSwitch.resumeCycle = undefined;
+  }
+  return 1;
+};
+
+const engageKillSwitch = (binding) => {
+  clearTimeout(binding.timeout);
+  binding.resumeCycle = undefined;
+  if (!scheduler?.started) {
+    // nothing plays, so starting stays silent until the switch is released
+    binding.fadeFrom = 0;
+    binding.fadeCycles = 0;
+    logger(`[LaunchDarkly] kill switch ${binding.flagKey} is on, output is muted`);
+    return;
+  }
+  // haps up to the current cycle are already scheduled, the fade starts after them
+  binding.fadeFrom = currentCycle();
+  binding.fadeCycles = binding.fade * scheduler.cps;
+  logger(`[LaunchDarkly] kill switch ${binding.flagKey} is on, fading out over ${binding.fade} s`);
+  binding.timeout = setTimeout(() => {
+    // a scheduler that was stopped by hand during the fade is not restarted by the switch
+    binding.stopped = !!scheduler?.started;
+    if (binding.stopped) {
+      // like hush, the tempo binding goes with the stopped code, the restart evaluates the code again
+      clearFlagTempo();
+      playback?.stop();
+    }
+  }, binding.fade * 1000);
+};
+
+// Lets all flags play their latest value from the start, as the restarted code begins at cycle 0 again
+const settleFlagTimelines = () =>
+  Object.entries(timelines).forEach(([key, timeline]) => {
+    timelines[key] = [{ cycle: -Infinity, value: timeline.at(-1).value }];
+  });
+
+const releaseKillSwitch = async (binding) => {
+  clearTimeout(binding.timeout);
+  binding.fadeFrom = undefined;
+  logger(`[LaunchDarkly] kill switch ${binding.flagKey} is off`);
+  if (scheduler?.started) {
+    // released during the fade, or started by hand while muted: the output comes back at the next bar
+    const length = quantumLength(binding.bar) || 1;
+    binding.resumeCycle = Fraction(length)
+      .mul(Math.ceil(currentCycle() / length))
+      .valueOf();
+    return;
+  }
+  if (binding.stopped) {
+    binding.stopped = false;
+    // playback starts again from cycle 0, which is the beginning of a bar
+    settleFlagTimelines();
+    try {
+      await playback?.start();
+    } catch (err) {
+      errorLogger(err, 'LaunchDarkly');
+    }
+  }
+};
+
+const applyKillSwitch = (binding, value) => {
+  const killed = checkFlag(binding.flagKey, value ?? false, { type: 'boolean' }, false);
+  if (killed && binding.fadeFrom === undefined) {
+    engageKillSwitch(binding);
+  } else if (!killed && binding.fadeFrom !== undefined) {
+    releaseKillSwitch(binding);
+  }
+};
+
+/**
+ * Reserves a boolean flag as kill switch for the whole output, without touching the code.
+ * When it turns on, all sound fades out over the given time and playback stops.
+ * When it turns off again, playback restarts at the beginning of a bar (see the playback of setFlagScheduler).
+ * Changes of the switch are never quantized, and unlike setcpmFlag, the switch stays when the code is evaluated.
+ * Only outputs wrapped with fadeFlagOutput are faded.
+ *
+ * @name setFlagKillSwitch
+ * @param {string} flagKey key of the boolean flag (default: 'killSwitch'), an empty key removes the kill switch
+ * @param {Object} options
+ * @param {number} options.fade length of the fade out in seconds (default: 2)
+ * @param {number|Object} options.bar length of a bar, like in setFlagQuantize (default: 1 cycle)
+ * @example
+ * setFlagKillSwitch('killSwitch', { fade: 4 })
+ * setFlagKillSwitch('panic', { fade: 0.5, bar: { meter: '3/4' } })
+ */
+export const setFlagKillSwitch = (flagKey = 'killSwitch', { fade = 2, bar = 1 } = {}) => {
+  // a scheduler stopped by the previous switch is still restarted when the new one is released
+  const stopped = killSwitch?.stopped ?? false;
+  clearFlagKillSwitch();
+  if (!flagKey) {
+    return;
+  }
+  const binding = { flagKey, fade, bar, stopped };
+  // a kill switch can't wait for the next boundary
+  setFlagQuantize(flagKey, 0);
+  binding.unsubscribe = onFlagChange((changes) => {
+    if (flagKey in changes) {
+      applyKillSwitch(binding, changes[flagKey]);
+    }
+  });
+  killSwitch = binding;
+  applyKillSwitch(binding, getFlag(flagKey, false));
+};
+
+/**
+ * Removes the kill switch, a muted output plays again
+ */
+export const clearFlagKillSwitch = () => {
+  if (!killSwitch) {
+    return;
+  }
+  clearTimeout(killSwitch.timeout);
+  killSwitch.unsubscribe();
+  setFlagQuantize(killSwitch.flagKey, undefined);
+  killSwitch = undefined;
+};
+
+/**
+ * Describes the kill switch for the UI
+ *
+ * @returns {Object} { flagKey, state }, state is off, fading, muted (on) or resuming, empty if there is no kill switch
+ */
+export const getFlagKillSwitch = () => {
+  if (!killSwitch) {
+    return {};
+  }
+  const { flagKey, fadeFrom, fadeCycles, resumeCycle } = killSwitch;
+  const cycle = currentCycle();
+  let state = 'off';
+  if (fadeFrom !== undefined) {
+    state = scheduler?.started && cycle < fadeFrom + fadeCycles ? 'fading' : 'muted';
+  } else if (resumeCycle !== undefined && scheduler?.started && cycle < resumeCycle) {
+    state = 'resuming';
+  }
+  return { flagKey, state };
+};
+
+/**
+ * Fades an output (like webaudioOutput) with the kill switch of setFlagKillSwitch, by scaling the gain of each hap
+ *
+ * @param {Function} output
+ * @returns {Function}
+ */
+export const fadeFlagOutput =
+  (output) =>
+  async (hap, ...args) => {
+    const level = killSwitchLevel((hap.whole ?? hap.part).begin.valueOf());
+    if (level <= 0) {
+      return;
+    }
+    if (level < 1 && isPlainObject(hap.value)) {
+      hap = hap.withValue((value) => ({ ...value, gain: (value.gain ?? 1) * level }));
     }
+    return output(hap, ...args);
+  };
+
+const transitionModes = ['none', 'cut', 'phrase', 'crossfade', 'fill'];
+
+// Derives the sections of a flagSwitch from the timeline of its flag: a change arrives at since,
+// and its value starts to play at begin, the boundary it was aligned to
+const switchSections = (key, align) => {
+  const timeline = timelines[key] ?? [];
+  const cycle = currentCycle();
+  return timeline.map((entry, i) => {
+    const since = entry.since ?? entry.cycle;
+    // changes can't arrive after the current cycle, unless the scheduler was restarted since
+    const previous = since > cycle ? undefined : i ? timeline[i - 1].value : entry.previous;
+    return { cycle: entry.cycle, value: entry.value, since, previous, begin: align(since) };
+  });
+};
+
+// Returns what a flagSwitch plays at the given cycle: { value }, or { value, previous, begin } during a transition
+const getSwitchState = (sections, cycle, length, defaultValue) => {
+  const section = sections.findLast(({ since }) => since <= cycle);
+  if (!section) {
+    // the queried cycle lies before the first change, only immediate changes have a value there
+    const [first] = sections;
+    return { value: (first?.cycle === -Infinity ? (first.previous ?? first.value) : undefined) ?? defaultValue };
+  }
+  const { value = defaultValue, previous, begin } = section;
+  if (previous === undefined || previous === value || cycle >= begin + length) {
+    return { value };
+  }
+  if (cycle < begin) {
+    return { value: previous };
   }
-  
-  // Return silence like setcpm does
-  return pure(0).withValue(() => ({}));
+  return { value, previous, begin };
 };
 
+// Fades the gain of a pattern in or out over the given cycles. Haps without controls switch halfway
+const fade = (pat, begin, length, fadeIn) => {
+  const level = (hap) => {
+    const progress = ((hap.whole ?? hap.part).begin.valueOf() - begin) / length;
+    return Math.min(Math.max(fadeIn ? progress : 1 - progress, 0), 1);
+  };
+  return pat
+    .filterHaps((hap) => isPlainObject(hap.value) || level(hap) >= 0.5)
+    .withHap((hap) =>
+      isPlainObject(hap.value) ? hap.withValue((v) => ({ ...v, gain: (v.gain ?? 1) * level(hap) })) : hap,
+    );
+};
+
+const switchOnFlag = (flagKey, variations, options, helper) => {
+  const {
+    defaultVariation = Object.keys(variations)[0],
+    transition = 'cut',
+    bar = 1,
+    phrase = 4,
+    duration = 1,
+    fill,
+  } = options;
+  if (!transitionModes.includes(transition)) {
+    throw new Error(`[LaunchDarkly] Unknown transition '${transition}', use one of ${transitionModes.join(', ')}`);
+  }
+  if (transition === 'fill' && fill === undefined) {
+    throw new Error(`[LaunchDarkly] The fill transition of '${flagKey}' needs a fill pattern`);
+  }
+  referenceFlag(flagKey, defaultVariation, helper);
+  // the values of the flag are the names of the variations
+  setFlagVariations(
+    flagKey,
+    Object.keys(variations).map((name) => ({ value: name, name })),
+  );
+  const barLength = quantumLength(bar);
+  const alignment = transition === 'none' ? 0 : transition === 'phrase' ? barLength * phrase : barLength;
+  const align = (cycle) =>
+    alignment > 0 && cycle !== -Infinity
+      ? Fraction(alignment)
+          .mul(Math.ceil(cycle / alignment))
+          .valueOf()
+      : cycle;
+  const length = ['crossfade', 'fill'].includes(transition) ? barLength * duration : 0;
+  const fillPattern = transition === 'fill' ? reify(fill) : undefined;
+
+  // Only create the pattern the first time a variation is played
+  const cachedPatterns = new Map();
+  const getVariation = (name) => {
+    if (!Object.hasOwn(variations, name)) {
+      reportFlag(flagKey, name, `unknown variation "${name}", expected one of ${Object.keys(variations).join(', ')}`);
+      name = defaultVariation;
+    }
+    const factory = variations[name];
+    if (factory === undefined) {
+      console.warn(`[LaunchDarkly] No variation found for '${name}'`);
+      return silence;
+    }
+    if (!cachedPatterns.has(name)) {
+      cachedPatterns.set(name, reify(typeof factory === 'function' ? factory() : factory));
+    }
+    return cachedPatterns.get(name);
+  };
+
+  return new Pattern((state) => {
+    const sections = switchSections(flagKey, align);
+    const { begin, end } = state.span;
+    // split the query wherever a section begins or a transition ends
+    const cuts = [...new Set(sections.flatMap((section) => [section.begin, section.begin + length]))]
+      .filter((cycle) => cycle > begin.valueOf() && cycle < end.valueOf())
+      .sort((a, b) => a - b)
+      .map((cycle) => Fraction(cycle));
+    const points = [begin, ...cuts, end];
+    return points.slice(0, -1).flatMap((point, i) => {
+      const part = state.setSpan(new TimeSpan(point, points[i + 1]));
+      const { value, previous, begin: start } = getSwitchState(sections, point.valueOf(), length, defaultVariation);
+      if (previous === undefined) {
+        return getVariation(value).query(part);
+      }
+      if (transition === 'fill') {
+        return fillPattern.late(start).query(part);
+      }
+      return fade(getVariation(previous), start, length, false)
+        .query(part)
+        .concat(fade(getVariation(value), start, length, true).query(part));
+    });
+  });
+};
+
+/**
+ * Switches between sections (patterns of a voice, or whole stacks) when a flag changes to the name of another
+ * section. Instead of swapping instantly, the switch happens with a musical transition:
+ *   - 'cut': the new section starts on the next bar
+ *   - 'phrase': the new section starts at the end of the phrase, which is `phrase` bars long
+ *   - 'crossfade': the sections fade over `duration` bars, starting on the next bar
+ *   - 'fill': a one-shot `fill` pattern plays for `duration` bars, starting on the next bar, then the new section
+ *   - 'none': the new section starts right away
+ * The bar is 1 cycle by default, and can be set like a quantum of setFlagQuantize, e.g. { meter: '3/4' }.
+ *
+ * @name flagSwitch
+ * @param {string} flagKey - The LaunchDarkly flag key containing the section name
+ * @param {Object} variations - Map of section names to patterns, or functions returning patterns
+ * @param {Object} options - { transition, bar, phrase, duration, fill, defaultVariation (default: the first section) }
+ * @returns {Pattern}
+ * @example
+ * flagSwitch('section', {
+ *   intro: stack(s("bd*2"), note("c2").s("sawtooth")),
+ *   drop: () => stack(s("bd*4, hh*8"), note("c2*8").s("sawtooth")),
+ * }, { transition: 'fill', fill: s("sd*8").gain(saw) })
+ *
+ * // the lead waits for the end of the 8 bar phrase
+ * let lead = flagSwitch('leadArrangement', leadVariations, { transition: 'phrase', phrase: 8 })
+ */
+export const flagSwitch = (flagKey, variations, options = {}) =>
+  switchOnFlag(flagKey, variations, options, 'flagSwitch');
+
 /**
  * Returns a lead arrangement pattern based on a LaunchDarkly flag value.
  * The flag should contain a string key matching a registered variation name.
  * This enables dynamic switching between pre-defined lead synth arrangements.
- * 
+ * The arrangement switches instantly, use flagSwitch for musical transitions.
+ *
  * @name getLeadArrangement
  * @param {string} flagKey - The LaunchDarkly flag key containing the variation name
  * @param {string} defaultVariation - Fallback variation name if flag is not set or invalid
@@ -383,39 +1936,55 @@ export const setcpmFlag = (flagKey, defaultValue = 100, divisor = 1) => {
  *     [3, "<0 4 0 9 7>*16".scale("[e:minor f:major]")],
  *     [1, "<0 4 0 9 7>*16".scale("[g:major a:minor]")]
  *   ).note().sound("supersaw"),
- *   
+ *
  *   original: () => arrange(
  *     [3, "<[[e3,b3] - c4 -] [e3 - f3 c4] [- c4 a4 -] [- - - -]>*4"],
  *     [1, "<[- - [g3,b3] -] [g3 - a3 c4] [- c4 c5 -] [c4 - g4 -]>*4"]
  *   ).note().sound("sawtooth")
  * };
- * 
+ *
  * // Use flag to dynamically select the lead arrangement
  * let lead_synth = getLeadArrangement('leadArrangement', 'original', leadVariations);
  */
-export const getLeadArrangement = (flagKey, defaultVariation, variations) => {
-  // Cache to avoid recreating patterns on every query
-  let cachedVariationKey = null;
-  let cachedPattern = null;
-  
-  return new Pattern((state) => {
-    const variationKey = flags[flagKey] ?? defaultVariation;
-    
-    // Get the pattern factory for the requested variation, fallback to default
-    const patternFactory = variations[variationKey] ?? variations[defaultVariation];
-    
-    if (!patternFactory) {
-      console.warn(`[LaunchDarkly] No variation found for '${variationKey}' or default '${defaultVariation}'`);
-      return [];
+export const getLeadArrangement = (flagKey, defaultVariation, variations) =>
+  switchOnFlag(flagKey, variations, { defaultVariation, transition: 'none' }, 'getLeadArrangement');
+
+/**
+ * Reads a numeric flag as a continuous signal, like sine or mouseX, to be used as a modulation source.
+ * When the flag changes, the signal glides from the previous to the new value over the smoothing time,
+ * so a flag can drive filter sweeps without audible steps.
+ *
+ * @name flagSignal
+ * @param {string} key flag key
+ * @param {number} defaultValue used when the flag is not set or no number
+ * @param {Object} options
+ * @param {number|Object} options.smooth smoothing time in cycles, or { duration, unit: 'cycles' | 'seconds', curve: 'linear' | 'exponential' }
+ * @returns {Pattern}
+ * @example
+ * // 'cutoff' between 0 and 1, glides over 2 cycles
+ * s("sawtooth*8").lpf(flagSignal('cutoff', 0.5, { smooth: 2 }).range(200, 4000).segment(16))
+ */
+export const flagSignal = (key, defaultValue = 0, { smooth = 0 } = {}) => {
+  referenceFlag(key, defaultValue, 'flagSignal');
+  const { duration, unit = 'cycles', curve = 'linear' } = typeof smooth === 'number' ? { duration: smooth } : smooth;
+  return signal((time) => {
+    const cycle = time.valueOf();
+    const target = checkFlag(key, toNumber(getFlagAt(key, cycle, defaultValue)), { type: 'number' }, defaultValue);
+    const length = unit === 'seconds' ? duration * (scheduler?.cps ?? 1) : duration;
+    if (!(length > 0)) {
+      return target;
     }
-    
-    // Only recreate the pattern if the variation changed
-    if (variationKey !== cachedVariationKey) {
-      cachedVariationKey = variationKey;
-      // Call the factory function to get the pattern
-      cachedPattern = typeof patternFactory === 'function' ? patternFactory() : patternFactory;
+    // the latest change of the flag, and when it arrived
+    const { previous, begin } = getSwitchState(
+      switchSections(key, (since) => since),
+      cycle,
+      length,
+      defaultValue,
+    );
+    const from = toNumber(previous);
+    if (typeof from !== 'number' || isNaN(from)) {
+      return target;
     }
-    
-    return cachedPattern.query(state);
+    return interpolate(from, target, (cycle - begin) / length, curve);
   });
 };
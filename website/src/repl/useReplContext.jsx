@@ -16,7 +16,7 @@ import {
   resetDefaults,
 } from '@strudel/webaudio';
 import { setVersionDefaultsFrom } from './util.mjs';
-import { StrudelMirror, defaultSettings } from '@strudel/codemirror';
+import { StrudelMirror, defaultSettings, setFlagWidgetSource } from '@strudel/codemirror';
 import { clearHydra } from '@strudel/hydra';
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { parseBoolean, settingsMap, useSettings } from '../settings.mjs';
@@ -36,7 +36,46 @@ import { getRandomTune, initCode, loadModules, shareCode } from './util.mjs';
 import './Repl.css';
 import { setInterval, clearInterval } from 'worker-timers';
 import { getMetadata } from '../metadata_parser';
-import { initLaunchDarkly, flag, setcpmFlag, getLeadArrangement } from './launchdarkly.mjs';
+import {
+  initLaunchDarkly,
+  loadFlagManifest,
+  setFlagManifest,
+  flag,
+  setcpmFlag,
+  getLeadArrangement,
+  flagSwitch,
+  flagNumber,
+  flagBool,
+  flagJSON,
+  flagList,
+  flagSignal,
+  setFlagProvider,
+  setFlagQuantize,
+  setFlagRamp,
+  setFlagScenes,
+  setFlagScheduler,
+  setFlagVariations,
+  clearFlagReferences,
+  clearFlagFieldPatterns,
+  clearFlagTempo,
+  setFlagOverride,
+  getFlag,
+  getFlagOverrides,
+  onFlagChange,
+  setFlagOverrides,
+  revertFlagOverride,
+  onFlagOverridesChange,
+  setFlagContext,
+  guardFlagPattern,
+  guardFlagOutput,
+  fadeFlagOutput,
+  setFlagKillSwitch,
+} from './launchdarkly.mjs';
+import { createMemoryProvider, createReplayProvider, createStaticProvider } from './flagproviders.mjs';
+import { startFlagRecording, stopFlagRecording } from './flagautomation.mjs';
+import { loadFlagContext } from './flagcontext.mjs';
+import { setFlagReconnectPolicy } from './flagconnection.mjs';
+import { getFlagClientId } from './flagenvironments.mjs';
 
 const { latestCode, maxPolyphony, audioDeviceName, multiChannelOrbits } = settingsMap.get();
 let modulesLoading, presets, drawContext, clearCanvas, audioReady;
@@ -73,7 +112,9 @@ export function useReplContext() {
     const drawContext = getDrawContext();
     const editor = new StrudelMirror({
       sync: isSyncEnabled,
-      defaultOutput,
+      // bad flag values are rolled back instead of breaking the set, the kill switch fades everything out
+      defaultOutput: fadeFlagOutput(guardFlagOutput(defaultOutput)),
+      editPattern: guardFlagPattern,
       getTime,
       setInterval,
       clearInterval,
@@ -86,15 +127,59 @@ export function useReplContext() {
       drawContext,
       prebake: async () => {
         await Promise.all([modulesLoading, presets]);
-        const ldClientId = import.meta.env.PUBLIC_LAUNCHDARKLY_CLIENT_ID;
+        const settings = settingsMap.get();
+        const { launchDarklyBaseUrl, launchDarklyContext, launchDarklyKillSwitch, flagOverrides } = settings;
+        // local overrides are kept per browser, a corrupt setting must not break the start
+        try {
+          setFlagOverrides(JSON.parse(flagOverrides));
+        } catch (err) {
+          logger(`[LaunchDarkly] ignoring the saved flag overrides: ${err.message}`, 'warning');
+          setFlagOverrides({});
+        }
+        onFlagOverridesChange((overrides) => settingsMap.setKey('flagOverrides', JSON.stringify(overrides)));
+        // the flag manifest of the site gives types, variation names and hints before the first flags arrive
+        await loadFlagManifest(`${import.meta.env.BASE_URL.replace(/\/$/, '')}/flags.json`).catch((err) =>
+          console.warn(`[LaunchDarkly] ignoring flags.json: ${err.message}`),
+        );
+        // the kill switch listens before the first flags arrive, so a switch that is already on mutes the output
+        setFlagKillSwitch(launchDarklyKillSwitch, { fade: Number(settings.launchDarklyKillSwitchFade) });
+        // the environment selected in the settings wins over the client ID of the build
+        const ldClientId = getFlagClientId(settings, import.meta.env.PUBLIC_LAUNCHDARKLY_CLIENT_ID);
         if (ldClientId) {
-          await initLaunchDarkly(ldClientId);
+          // a generated context is kept, so the flags cached by this session match the next one
+          const context = loadFlagContext(launchDarklyContext, (json) =>
+            settingsMap.setKey('launchDarklyContext', json),
+          );
+          await initLaunchDarkly(ldClientId, context, { baseUrl: launchDarklyBaseUrl });
         } else {
           console.warn('[LaunchDarkly] PUBLIC_LAUNCHDARKLY_CLIENT_ID not set in environment variables');
         }
         globalThis.flag = flag;
         globalThis.setcpmFlag = setcpmFlag;
         globalThis.getLeadArrangement = getLeadArrangement;
+        globalThis.flagSwitch = flagSwitch;
+        globalThis.flagNumber = flagNumber;
+        globalThis.flagBool = flagBool;
+        globalThis.flagJSON = flagJSON;
+        globalThis.flagList = flagList;
+        globalThis.flagSignal = flagSignal;
+        globalThis.setFlagProvider = setFlagProvider;
+        globalThis.setFlagQuantize = setFlagQuantize;
+        globalThis.setFlagRamp = setFlagRamp;
+        globalThis.setFlagScenes = setFlagScenes;
+        globalThis.setFlagManifest = setFlagManifest;
+        globalThis.setFlagKillSwitch = setFlagKillSwitch;
+        globalThis.loadFlagManifest = loadFlagManifest;
+        globalThis.setFlagVariations = setFlagVariations;
+        globalThis.setFlagOverride = setFlagOverride;
+        globalThis.revertFlagOverride = revertFlagOverride;
+        globalThis.setFlagContext = setFlagContext;
+        globalThis.setFlagReconnectPolicy = setFlagReconnectPolicy;
+        globalThis.createStaticProvider = createStaticProvider;
+        globalThis.createMemoryProvider = createMemoryProvider;
+        globalThis.createReplayProvider = createReplayProvider;
+        globalThis.startFlagRecording = startFlagRecording;
+        globalThis.stopFlagRecording = stopFlagRecording;
         if (prebakeScript?.length) {
           return evaluate(prebakeScript ?? '');
         }
@@ -107,7 +192,13 @@ export function useReplContext() {
           clearHydra();
         }
       },
-      beforeEval: () => audioReady,
+      beforeEval: () => {
+        clearFlagReferences();
+        clearFlagFieldPatterns();
+        clearFlagTempo();
+        return audioReady;
+      },
+      onHush: () => clearFlagTempo(),
       afterEval: (all) => {
         const { code } = all;
         //post to iframe parent (like Udels) if it exists...
@@ -139,6 +230,15 @@ export function useReplContext() {
       bgFill: false,
     });
     window.strudelMirror = editor;
+    // the kill switch stops and plays like the buttons, so the started state and the tempo binding follow
+    setFlagScheduler(editor.repl.scheduler, { stop: () => editor.stop(), start: () => editor.evaluate() });
+    // the chips next to flag calls in the code show the audible values, editing them overrides the flag
+    setFlagWidgetSource({
+      getValue: getFlag,
+      isOverridden: (key) => key in getFlagOverrides(),
+      subscribe: onFlagChange,
+      setOverride: setFlagOverride,
+    });
 
     // init settings
     initCode().then(async (decoded) => {
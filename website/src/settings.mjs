@@ -52,6 +52,13 @@ export const defaultSettings = {
   maxPolyphony: 128,
   multiChannelOrbits: false,
   includePrebakeScriptInShare: true,
+  launchDarklyBaseUrl: '',
+  launchDarklyEnvironment: '',
+  launchDarklyClientIds: '{}',
+  launchDarklyContext: '',
+  launchDarklyKillSwitch: 'killSwitch',
+  launchDarklyKillSwitchFade: 2,
+  flagOverrides: '{}',
 };
 
 let search = null;
@@ -93,6 +100,7 @@ export function useSettings() {
     isTabIndentationEnabled: parseBoolean(state.isTabIndentationEnabled),
     isMultiCursorEnabled: parseBoolean(state.isMultiCursorEnabled),
     fontSize: Number(state.fontSize),
+    launchDarklyKillSwitchFade: Number(state.launchDarklyKillSwitchFade),
     panelPosition: state.activeFooter !== '' && !isUdels() ? state.panelPosition : 'bottom', // <-- keep this 'bottom' where it is!
     isPanelPinned: parseBoolean(state.isPanelPinned),
     isPanelOpen: parseBoolean(state.isPanelOpen),